@@ -5,7 +5,7 @@ echo "Building project..."
 npm run build
 
 echo "Creating directory on server..."
-ssh galenor "mkdir -p ~/travellines"
+ssh galenor "mkdir -p ~/travellines/tiles"
 
 echo "Copying files to server..."
 scp -r dist docker-compose.yml galenor:~/travellines/
@@ -0,0 +1,69 @@
+import { createHash } from 'node:crypto';
+import fs from 'node:fs/promises';
+
+const MANIFEST = {
+  name: 'Travel Lines',
+  short_name: 'Travel Lines',
+  description: 'Map of your public transport check-ins',
+  display: 'standalone',
+  background_color: '#f7f2e9',
+  theme_color: '#0f766e'
+};
+
+// Emits the service worker, web manifest and icon next to index.html, so they
+// are served from the app's base path and the worker's scope covers the app.
+export function pwaPlugin() {
+  let base = '/';
+  return {
+    name: 'travel-lines-pwa',
+    apply: 'build',
+    enforce: 'post',
+    configResolved(config) {
+      base = config.base;
+    },
+    transformIndexHtml() {
+      return [
+        { rel: 'manifest', href: `${base}manifest.webmanifest` },
+        { rel: 'icon', type: 'image/svg+xml', href: `${base}icon.svg` }
+      ]
+        .map((attrs) => ({ tag: 'link', attrs, injectTo: 'head' }))
+        .concat({
+          tag: 'meta',
+          attrs: { name: 'theme-color', content: MANIFEST.theme_color },
+          injectTo: 'head'
+        });
+    },
+    async generateBundle(_, bundle) {
+      const files = ['index.html', 'icon.svg', 'manifest.webmanifest', ...Object.keys(bundle)]
+        .filter((file, index, list) => list.indexOf(file) === index)
+        .filter((file) => !file.endsWith('.map'));
+      const version = createHash('sha256').update(files.sort().join('|')).digest('hex').slice(0, 10);
+      const worker = await fs.readFile(new URL('./sw.js', import.meta.url), 'utf8');
+
+      this.emitFile({
+        type: 'asset',
+        fileName: 'sw.js',
+        source: `const PRECACHE = ${JSON.stringify(files)};\nconst VERSION = '${version}';\n\n${worker}`
+      });
+      this.emitFile({
+        type: 'asset',
+        fileName: 'manifest.webmanifest',
+        source: JSON.stringify(
+          {
+            ...MANIFEST,
+            start_url: base,
+            scope: base,
+            icons: [{ src: 'icon.svg', sizes: 'any', type: 'image/svg+xml', purpose: 'any' }]
+          },
+          null,
+          2
+        )
+      });
+      this.emitFile({
+        type: 'asset',
+        fileName: 'icon.svg',
+        source: await fs.readFile(new URL('./icon.svg', import.meta.url))
+      });
+    }
+  };
+}
@@ -0,0 +1,82 @@
+// Service worker for Travel Lines. PRECACHE and VERSION are prepended at
+// build time by pwa/plugin.js.
+
+const SHELL_CACHE = `travel-lines-shell-${VERSION}`;
+const DATA_CACHE = 'travel-lines-data';
+const TILE_CACHE = 'travel-lines-tiles';
+
+self.addEventListener('install', (event) => {
+  event.waitUntil(
+    caches
+      .open(SHELL_CACHE)
+      .then((cache) => cache.addAll(PRECACHE))
+      .then(() => self.skipWaiting())
+  );
+});
+
+self.addEventListener('activate', (event) => {
+  event.waitUntil(
+    caches
+      .keys()
+      .then((keys) =>
+        Promise.all(
+          keys
+            .filter((key) => key.startsWith('travel-lines-shell-') && key !== SHELL_CACHE)
+            .map((key) => caches.delete(key))
+        )
+      )
+      .then(() => self.clients.claim())
+  );
+});
+
+// Network first, so new exports and coordinates show up as soon as there is
+// a connection; the last good copy is used on the train.
+async function networkFirst(request, cacheName) {
+  const cache = await caches.open(cacheName);
+  try {
+    const response = await fetch(request);
+    if (response.ok) cache.put(request, response.clone());
+    return response;
+  } catch (err) {
+    const cached = await cache.match(request);
+    if (cached) return cached;
+    throw err;
+  }
+}
+
+async function cacheFirst(request, cacheName) {
+  const cached = await caches.match(request, { cacheName });
+  return cached || fetch(request);
+}
+
+async function navigation(request) {
+  try {
+    return await fetch(request);
+  } catch {
+    const cache = await caches.open(SHELL_CACHE);
+    return (await cache.match('index.html')) || Response.error();
+  }
+}
+
+self.addEventListener('fetch', (event) => {
+  const { request } = event;
+  if (request.method !== 'GET') return;
+  const url = new URL(request.url);
+
+  if (request.mode === 'navigate') {
+    event.respondWith(navigation(request));
+    return;
+  }
+  if (url.origin === self.location.origin) {
+    if (url.pathname.includes('/data/')) {
+      event.respondWith(networkFirst(request, DATA_CACHE));
+    } else if (PRECACHE.some((path) => url.pathname.endsWith(path))) {
+      event.respondWith(cacheFirst(request, SHELL_CACHE));
+    }
+    return;
+  }
+  // Map tiles from any style; only tiles downloaded for offline use are cached.
+  if (request.destination === 'image') {
+    event.respondWith(cacheFirst(request, TILE_CACHE));
+  }
+});
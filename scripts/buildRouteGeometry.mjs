@@ -0,0 +1,364 @@
+import fs from 'node:fs/promises';
+import { createReadStream } from 'node:fs';
+import path from 'node:path';
+import { parseArgs } from 'node:util';
+import Papa from 'papaparse';
+import { readTripRows } from './lib/trips.mjs';
+
+// Snaps every distinct Vertrek -> Bestemming pair to a path along real track or
+// road geometry and caches the result for the map.
+//
+//   node scripts/buildRouteGeometry.mjs --gtfs shapes.txt --osm rail.geojson
+//
+// --gtfs takes a GTFS shapes.txt. --osm takes a GeoJSON file with the
+// LineStrings of an OSM extract (e.g. `osmium export` of railway/highway ways).
+// Pairs that neither source can match are left out; the app draws a
+// great-circle line for those.
+
+const { values: args } = parseArgs({
+  options: {
+    input: { type: 'string', multiple: true, default: ['public/data/trips.csv'] },
+    coords: { type: 'string', default: 'public/data/stopCoords.json' },
+    out: { type: 'string', default: 'public/data/routeGeometry.json' },
+    gtfs: { type: 'string' },
+    osm: { type: 'string' },
+    snap: { type: 'string', default: '300' },
+    force: { type: 'boolean', default: false }
+  }
+});
+
+const SNAP_METERS = Number(args.snap);
+// Paths much longer than the straight line are almost always a wrong match.
+const MAX_DETOUR = 3;
+const SIMPLIFY_TOLERANCE = 0.00005;
+const GRID_SIZE = 0.01;
+
+function haversineMeters(a, b) {
+  const toRad = (deg) => (deg * Math.PI) / 180;
+  const dLat = toRad(b[0] - a[0]);
+  const dLng = toRad(b[1] - a[1]);
+  const h =
+    Math.sin(dLat / 2) ** 2 +
+    Math.cos(toRad(a[0])) * Math.cos(toRad(b[0])) * Math.sin(dLng / 2) ** 2;
+  return 2 * 6371000 * Math.asin(Math.sqrt(h));
+}
+
+function pathLength(points) {
+  let total = 0;
+  for (let i = 1; i < points.length; i += 1) {
+    total += haversineMeters(points[i - 1], points[i]);
+  }
+  return total;
+}
+
+function simplify(points, tolerance) {
+  if (points.length <= 2) return points;
+  const [first, last] = [points[0], points[points.length - 1]];
+  let maxDistance = 0;
+  let index = 0;
+  for (let i = 1; i < points.length - 1; i += 1) {
+    const distance = perpendicularDistance(points[i], first, last);
+    if (distance > maxDistance) {
+      maxDistance = distance;
+      index = i;
+    }
+  }
+  if (maxDistance <= tolerance) return [first, last];
+  const left = simplify(points.slice(0, index + 1), tolerance);
+  const right = simplify(points.slice(index), tolerance);
+  return [...left.slice(0, -1), ...right];
+}
+
+function perpendicularDistance(point, start, end) {
+  const dx = end[1] - start[1];
+  const dy = end[0] - start[0];
+  const lengthSq = dx * dx + dy * dy;
+  if (!lengthSq) return Math.hypot(point[1] - start[1], point[0] - start[0]);
+  const t = Math.max(0, Math.min(1, ((point[1] - start[1]) * dx + (point[0] - start[0]) * dy) / lengthSq));
+  return Math.hypot(point[1] - (start[1] + t * dx), point[0] - (start[0] + t * dy));
+}
+
+function cellKey(lat, lng) {
+  return `${Math.floor(lat / GRID_SIZE)}:${Math.floor(lng / GRID_SIZE)}`;
+}
+
+function neighbourCells(point) {
+  const row = Math.floor(point[0] / GRID_SIZE);
+  const col = Math.floor(point[1] / GRID_SIZE);
+  const keys = [];
+  for (let r = row - 1; r <= row + 1; r += 1) {
+    for (let c = col - 1; c <= col + 1; c += 1) keys.push(`${r}:${c}`);
+  }
+  return keys;
+}
+
+async function readPairs(files) {
+  const pairs = new Map();
+  (await readTripRows(files)).forEach((row) => {
+    const from = row['Vertrek'];
+    const to = row['Bestemming'];
+    if (from && to && from !== to) pairs.set(`${from} -> ${to}`, { from, to });
+  });
+  return Array.from(pairs.entries());
+}
+
+// shapes.txt runs to millions of rows, so it is streamed rather than read
+// whole; Papa handles the quoting a plain split(',') would get wrong.
+function readGtfsShapes(file) {
+  const shapes = new Map();
+  return new Promise((resolve, reject) => {
+    Papa.parse(createReadStream(file), {
+      header: true,
+      skipEmptyLines: true,
+      transformHeader: (header) => header.replace(/^\uFEFF/, '').trim(),
+      step: ({ data: row }) => {
+        const shape = shapes.get(row.shape_id) || [];
+        shape.push([
+          Number(row.shape_pt_sequence),
+          Number(row.shape_pt_lat),
+          Number(row.shape_pt_lon)
+        ]);
+        shapes.set(row.shape_id, shape);
+      },
+      complete: () => resolve(shapes),
+      error: reject
+    });
+  });
+}
+
+async function loadGtfsShapes(file) {
+  const shapes = await readGtfsShapes(file);
+  const index = new Map();
+  const points = new Map();
+  shapes.forEach((shape, id) => {
+    const sorted = shape.sort((a, b) => a[0] - b[0]).map(([, lat, lng]) => [lat, lng]);
+    points.set(id, sorted);
+    sorted.forEach(([lat, lng], i) => {
+      const key = cellKey(lat, lng);
+      const cell = index.get(key) || [];
+      cell.push([id, i]);
+      index.set(key, cell);
+    });
+  });
+  console.log(`Loaded ${points.size} GTFS shapes.`);
+  return { index, points };
+}
+
+function nearShapePoints(gtfs, point) {
+  const near = new Map();
+  neighbourCells(point).forEach((key) => {
+    (gtfs.index.get(key) || []).forEach(([id, i]) => {
+      const distance = haversineMeters(point, gtfs.points.get(id)[i]);
+      if (distance > SNAP_METERS) return;
+      const list = near.get(id) || [];
+      list.push(i);
+      near.set(id, list);
+    });
+  });
+  return near;
+}
+
+function matchGtfs(gtfs, from, to) {
+  const nearFrom = nearShapePoints(gtfs, from);
+  const nearTo = nearShapePoints(gtfs, to);
+  let best = null;
+  nearFrom.forEach((starts, id) => {
+    const ends = nearTo.get(id);
+    if (!ends) return;
+    starts.forEach((start) => {
+      ends.forEach((end) => {
+        if (end <= start) return;
+        const length = end - start;
+        if (!best || length < best.length) best = { id, start, end, length };
+      });
+    });
+  });
+  if (!best) return null;
+  return gtfs.points.get(best.id).slice(best.start, best.end + 1);
+}
+
+async function loadOsmGraph(file) {
+  const geojson = JSON.parse(await fs.readFile(file, 'utf8'));
+  const nodes = new Map();
+  const index = new Map();
+
+  function nodeId([lng, lat]) {
+    const id = `${lat.toFixed(6)},${lng.toFixed(6)}`;
+    if (!nodes.has(id)) {
+      nodes.set(id, { point: [lat, lng], edges: [] });
+      const key = cellKey(lat, lng);
+      const cell = index.get(key) || [];
+      cell.push(id);
+      index.set(key, cell);
+    }
+    return id;
+  }
+
+  function addLine(coordinates) {
+    for (let i = 1; i < coordinates.length; i += 1) {
+      const a = nodeId(coordinates[i - 1]);
+      const b = nodeId(coordinates[i]);
+      const weight = haversineMeters(nodes.get(a).point, nodes.get(b).point);
+      nodes.get(a).edges.push([b, weight]);
+      nodes.get(b).edges.push([a, weight]);
+    }
+  }
+
+  (geojson.features || []).forEach(({ geometry }) => {
+    if (!geometry) return;
+    if (geometry.type === 'LineString') addLine(geometry.coordinates);
+    if (geometry.type === 'MultiLineString') geometry.coordinates.forEach(addLine);
+  });
+  console.log(`Loaded OSM graph with ${nodes.size} nodes.`);
+  return { nodes, index };
+}
+
+function nearestNode(graph, point) {
+  let best = null;
+  neighbourCells(point).forEach((key) => {
+    (graph.index.get(key) || []).forEach((id) => {
+      const distance = haversineMeters(point, graph.nodes.get(id).point);
+      if (distance <= SNAP_METERS && (!best || distance < best.distance)) {
+        best = { id, distance };
+      }
+    });
+  });
+  return best?.id || null;
+}
+
+function shortestPath(graph, source, target, limit) {
+  const distances = new Map([[source, 0]]);
+  const previous = new Map();
+  const heap = [[0, source]];
+
+  function push(item) {
+    heap.push(item);
+    let i = heap.length - 1;
+    while (i > 0) {
+      const parent = (i - 1) >> 1;
+      if (heap[parent][0] <= heap[i][0]) break;
+      [heap[parent], heap[i]] = [heap[i], heap[parent]];
+      i = parent;
+    }
+  }
+
+  function pop() {
+    const top = heap[0];
+    const last = heap.pop();
+    if (heap.length) {
+      heap[0] = last;
+      let i = 0;
+      for (;;) {
+        const left = i * 2 + 1;
+        const right = left + 1;
+        let smallest = i;
+        if (left < heap.length && heap[left][0] < heap[smallest][0]) smallest = left;
+        if (right < heap.length && heap[right][0] < heap[smallest][0]) smallest = right;
+        if (smallest === i) break;
+        [heap[smallest], heap[i]] = [heap[i], heap[smallest]];
+        i = smallest;
+      }
+    }
+    return top;
+  }
+
+  while (heap.length) {
+    const [distance, id] = pop();
+    if (id === target) break;
+    if (distance > (distances.get(id) ?? Infinity) || distance > limit) continue;
+    graph.nodes.get(id).edges.forEach(([next, weight]) => {
+      const candidate = distance + weight;
+      if (candidate < (distances.get(next) ?? Infinity)) {
+        distances.set(next, candidate);
+        previous.set(next, id);
+        push([candidate, next]);
+      }
+    });
+  }
+
+  if (!distances.has(target)) return null;
+  const points = [];
+  for (let id = target; id; id = previous.get(id)) {
+    points.unshift(graph.nodes.get(id).point);
+  }
+  return points;
+}
+
+function matchOsm(graph, from, to) {
+  const source = nearestNode(graph, from);
+  const target = nearestNode(graph, to);
+  if (!source || !target || source === target) return null;
+  return shortestPath(graph, source, target, haversineMeters(from, to) * MAX_DETOUR);
+}
+
+async function main() {
+  if (!args.gtfs && !args.osm) {
+    throw new Error('Pass --gtfs <shapes.txt> and/or --osm <lines.geojson>.');
+  }
+
+  const coordsJson = JSON.parse(await fs.readFile(path.resolve(args.coords), 'utf8'));
+  const coords = coordsJson.stops || {};
+  const pairs = await readPairs(args.input);
+  const outPath = path.resolve(args.out);
+
+  let existing = { routes: {} };
+  try {
+    existing = JSON.parse(await fs.readFile(outPath, 'utf8'));
+  } catch {
+    // No existing file.
+  }
+
+  const gtfs = args.gtfs ? await loadGtfsShapes(path.resolve(args.gtfs)) : null;
+  const graph = args.osm ? await loadOsmGraph(path.resolve(args.osm)) : null;
+
+  const output = {
+    generatedAt: new Date().toISOString(),
+    routes: args.force ? {} : { ...existing.routes }
+  };
+  const unmatched = [];
+
+  for (const [key, { from, to }] of pairs) {
+    if (output.routes[key]) continue;
+    const fromCoord = coords[from];
+    const toCoord = coords[to];
+    if (!fromCoord || !toCoord) continue;
+
+    const a = [fromCoord.lat, fromCoord.lng];
+    const b = [toCoord.lat, toCoord.lng];
+    const straight = haversineMeters(a, b);
+    const candidates = [
+      ['gtfs', gtfs && matchGtfs(gtfs, a, b)],
+      ['osm', graph && matchOsm(graph, a, b)]
+    ];
+    const match = candidates.find(
+      ([, points]) => points && points.length > 1 && pathLength(points) <= straight * MAX_DETOUR
+    );
+
+    if (!match) {
+      unmatched.push(key);
+      continue;
+    }
+
+    const [source, points] = match;
+    const coordinates = simplify([a, ...points, b], SIMPLIFY_TOLERANCE).map(([lat, lng]) => [
+      Number(lat.toFixed(5)),
+      Number(lng.toFixed(5))
+    ]);
+    output.routes[key] = {
+      source,
+      lengthKm: Number((pathLength(coordinates) / 1000).toFixed(2)),
+      coordinates
+    };
+  }
+
+  await fs.writeFile(outPath, JSON.stringify(output));
+  console.log(`Stored geometry for ${Object.keys(output.routes).length} routes.`);
+  if (unmatched.length) {
+    console.log(`No geometry for ${unmatched.length} routes:`, unmatched.join(', '));
+  }
+}
+
+main().catch((err) => {
+  console.error(err);
+  process.exit(1);
+});
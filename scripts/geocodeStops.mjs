@@ -1,256 +1,203 @@
 import fs from 'node:fs/promises';
 import path from 'node:path';
-import { setTimeout as delay } from 'node:timers/promises';
-
-const CSV_PATH = path.resolve('2024-09-21_2025-12-30.csv');
-const OUT_PATH = path.resolve('public/data/stopCoords.json');
-const USER_AGENT = 'trains-visualizer/1.0 (local script)';
+import { parseArgs } from 'node:util';
+import { createGtfsStopsProvider } from './geocoders/gtfsStops.mjs';
+import { createNominatimProvider } from './geocoders/nominatim.mjs';
+import { createStationListProvider } from './geocoders/stationList.mjs';
+import {
+  TRUSTED_CONFIDENCE,
+  buildStopGraph,
+  cityFromName,
+  inferCity,
+  resolvedNeighbours
+} from './lib/context.mjs';
+import { readTripRows, stopNames } from './lib/trips.mjs';
+
+const USAGE = `Usage: node scripts/geocodeStops.mjs [options]
+
+  --input <file>        Trip export CSV; repeat for several files
+                        (default: 2024-09-21_2025-12-30.csv)
+  --out <file>          Output JSON (default: public/data/stopCoords.json)
+  --provider <list>     Providers to try in order (default: gtfs,stations,nominatim)
+  --gtfs-stops <file>   GTFS stops.txt for the gtfs provider
+  --stations <file>     NS station list (.json API payload or .csv) for the stations provider
+  --endpoint <url>      Nominatim-compatible search URL
+                        (default: https://nominatim.openstreetmap.org/search)
+  --delay <ms>          Pause between Nominatim requests (default: 1100)
+  --retry-unmatched     Try stops listed as unmatched in the output again
+  --help                Show this message`;
+
+const { values: args } = parseArgs({
+  options: {
+    input: { type: 'string', multiple: true, default: ['2024-09-21_2025-12-30.csv'] },
+    out: { type: 'string', default: 'public/data/stopCoords.json' },
+    provider: { type: 'string', default: 'gtfs,stations,nominatim' },
+    'gtfs-stops': { type: 'string' },
+    stations: { type: 'string' },
+    endpoint: { type: 'string', default: 'https://nominatim.openstreetmap.org/search' },
+    delay: { type: 'string', default: '1100' },
+    'retry-unmatched': { type: 'boolean', default: false },
+    help: { type: 'boolean', default: false }
+  }
+});
 
-const overrides = {
-  '1e C. Huygensstraat': '1e Constantijn Huygensstraat, Amsterdam, Netherlands',
-  '1e Con. Huygensstraat': '1e Constantijn Huygensstraat, Amsterdam, Netherlands',
-  'Burg. Eliasstraat': 'Burgemeester Eliasstraat, Amsterdam, Netherlands',
-  'Aachen Hbf': 'Aachen Hauptbahnhof, Aachen, Germany',
-  'Amsterdam, Mosplein': 'Mosplein, Amsterdam, Netherlands',
-  'Amsterdam, Stenendokweg': 'Stenendokweg, Amsterdam, Netherlands',
-  'Apeldoorn, De Veenkamp': 'De Veenkamp, Apeldoorn, Netherlands',
-  'Apeldoorn, Gedenknaald': 'Gedenknaald, Apeldoorn, Netherlands',
-  'Apeldoorn, Station': 'Station Apeldoorn, Apeldoorn, Netherlands',
-  'Centraal Station': 'Amsterdam Centraal Station, Amsterdam, Netherlands',
-  'Centrum': 'Centrum, Den Haag, Netherlands',
-  'C. van Eesterenlaan': 'C. van Eesterenlaan, Amsterdam, Netherlands',
-  'Den Helder, Station': 'Station Den Helder, Den Helder, Netherlands',
-  'Den Helder, Steiger Teso': 'Steiger TESO, Den Helder, Netherlands',
-  'Frederik Hendrikplnts': 'Frederik Hendrikplantsoen, Amsterdam, Netherlands',
-  'Heemstede, Stat.Heemstede-Aerd': 'Station Heemstede-Aerdenhout, Heemstede, Netherlands',
-  'J.P. Heijestraat': 'Jan Pieter Heijestraat, Amsterdam, Netherlands',
-  'Kievitslaan': 'Kievitslaan, Rotterdam, Netherlands',
-  'muziekgebouw Bimhuis': 'Bimhuis, Amsterdam, Netherlands',
-  'Noord': 'Amsterdam Noord, Amsterdam, Netherlands',
-  'Purmerend, Anne Franklaan': 'Anne Franklaan, Purmerend, Netherlands',
-  'Purmerend, Churchilllaan': 'Churchilllaan, Purmerend, Netherlands',
-  'Purmerend, Kelvinstraat': 'Kelvinstraat, Purmerend, Netherlands',
-  'Purmerend, Station Overwhere': 'Station Overwhere, Purmerend, Netherlands',
-  'Purmerend, Tramplein': 'Tramplein, Purmerend, Netherlands',
-  'Purmerend, Veenweidestraat': 'Veenweidestraat, Purmerend, Netherlands',
-  'Schev.slag/beelden aan Zee': 'Beelden aan Zee, Scheveningen, Den Haag, Netherlands',
-  'Station Blaak': 'Rotterdam Blaak, Rotterdam, Netherlands',
-  'Station Hollands Spoor': 'Den Haag Hollands Spoor, Den Haag, Netherlands',
-  'Station Lelylaan': 'Amsterdam Lelylaan, Amsterdam, Netherlands',
-  'Station Mariahoeve': 'Den Haag Mariahoeve, Den Haag, Netherlands',
-  'Station Zuid': 'Amsterdam Zuid, Amsterdam, Netherlands',
-  'Van der Woertstraat': 'Van der Woertstraat, Den Haag, Netherlands',
-  'Vogelenzang, Waterleiding': 'Waterleiding, Vogelenzang, Netherlands',
-  'Zandvoort, Waterleiding/nw. Un': 'Waterleiding, Zandvoort, Netherlands',
-  'Zandvoort, Zandvoort Centrum': 'Zandvoort Centrum, Zandvoort, Netherlands'
+// Spelled-out forms of abbreviations in check-in exports that the geocoders
+// can't expand. They never add a city the name doesn't carry: that comes from
+// the name ("Purmerend, Tramplein") or from the stops it is connected to in
+// the trips (see lib/context.mjs).
+const expansions = {
+  '1e C. Huygensstraat': '1e Constantijn Huygensstraat',
+  '1e Con. Huygensstraat': '1e Constantijn Huygensstraat',
+  'Burg. Eliasstraat': 'Burgemeester Eliasstraat',
+  'Aachen Hbf': 'Aachen, Hauptbahnhof, Germany',
+  'Frederik Hendrikplnts': 'Frederik Hendrikplantsoen',
+  'Heemstede, Stat.Heemstede-Aerd': 'Heemstede, Station Heemstede-Aerdenhout',
+  'J.P. Heijestraat': 'Jan Pieter Heijestraat',
+  'Schev.slag/beelden aan Zee': 'Scheveningen, Beelden aan Zee',
+  'Zandvoort, Waterleiding/nw. Un': 'Zandvoort, Waterleiding'
 };
 
-const denHaagStops = new Set([
-  'Bierkade',
-  'Hofzichtlaan',
-  'Kievitslaan',
-  'Kneuterdijk',
-  'Kunstmuseum',
-  'Kurhaus',
-  'Schev.slag/beelden aan Zee',
-  'Statenplein',
-  'Vredespaleis',
-  'Den Haag HS',
-  'Den Haag Centraal',
-  'Den Haag Mariahoeve',
-  'Station Hollands Spoor',
-  'Station Mariahoeve',
-  'Centrum'
-]);
-
-const rotterdamStops = new Set([
-  'Kruisplein',
-  'Leuvehaven',
-  'Nieuwe Haven',
-  'Vasteland',
-  'Weena',
-  'Witte de Withstraat',
-  'Woudestein',
-  'Museumpark',
-  'Rotterdam Centraal',
-  'Rotterdam Blaak',
-  'Station Blaak'
-]);
+const COUNTRY = /, (Netherlands|Belgium|Germany)$/;
 
-const purmerendStops = new Set([
-  'Purmerend Overwhere',
-  'Purmerend, Anne Franklaan',
-  'Purmerend, Churchilllaan',
-  'Purmerend, Kelvinstraat',
-  'Purmerend, Signaal',
-  'Purmerend, Station Overwhere',
-  'Purmerend, Tramplein',
-  'Purmerend, Veenweidestraat'
-]);
-
-const zandvoortStops = new Set([
-  'Zandvoort, Waterleiding/nw. Un',
-  'Zandvoort, Zandvoort Centrum',
-  'Zandvoort aan Zee'
-]);
-
-const allCityPrefixes = [
-  'Amsterdam',
-  'Rotterdam',
-  'Den Haag',
-  'Purmerend',
-  'Zaandam',
-  'Zandvoort',
-  'Apeldoorn',
-  'Arnhem',
-  'Breda',
-  'Delft',
-  'Enschede',
-  'Haarlem',
-  'Heerlen',
-  'Maastricht',
-  'Nijmegen',
-  'Aachen',
-  'Alkmaar',
-  'Den Helder',
-  'Schiphol',
-  'Velp',
-  'Dieren',
-  'Uitgeest',
-  'Overveen',
-  'Santpoort Noord',
-  'Heemstede-Aerdenhout',
-  'Zaandijk Zaanse Schans',
-  'Mook-Molenhoek'
-];
+function expandName(name) {
+  return expansions[name] || name;
+}
 
-function guessQuery(name) {
+function guessQuery(name, city) {
   if (!name || name === 'Onbekend') return null;
-  if (overrides[name]) return overrides[name];
-  if (name.includes(',')) return `${name}, Netherlands`;
-  if (allCityPrefixes.some((prefix) => name.startsWith(prefix))) {
-    return `${name}, Netherlands`;
+  const expanded = expandName(name);
+  if (COUNTRY.test(expanded)) return expanded;
+  if (expanded.includes(',')) return `${expanded}, Netherlands`;
+  if (city && !expanded.toLowerCase().includes(city.toLowerCase())) {
+    return `${expanded}, ${city}, Netherlands`;
   }
-  if (denHaagStops.has(name)) return `${name}, Den Haag, Netherlands`;
-  if (rotterdamStops.has(name)) return `${name}, Rotterdam, Netherlands`;
-  if (purmerendStops.has(name)) return `${name}, Purmerend, Netherlands`;
-  if (zandvoortStops.has(name)) return `${name}, Zandvoort, Netherlands`;
-  return `${name}, Amsterdam, Netherlands`;
+  return `${expanded}, Netherlands`;
 }
 
-async function readCsvStops() {
-  const text = await fs.readFile(CSV_PATH, 'utf8');
-  const lines = text.split(/\r?\n/).filter(Boolean);
-  const headers = lines[0].split(',');
-  const vertrekIndex = headers.indexOf('Vertrek');
-  const bestemmingIndex = headers.indexOf('Bestemming');
-  const stops = new Set();
-
-  for (let i = 1; i < lines.length; i += 1) {
-    const line = lines[i];
-    const parts = parseCsvLine(line);
-    const vertrek = parts[vertrekIndex];
-    const bestemming = parts[bestemmingIndex];
-    if (vertrek) stops.add(vertrek);
-    if (bestemming) stops.add(bestemming);
+// Local tables need their file; providers without one are skipped so the
+// default list works with just the Nominatim endpoint.
+async function createProviders() {
+  const providers = [];
+  for (const name of args.provider.split(',').map((part) => part.trim()).filter(Boolean)) {
+    if (name === 'gtfs') {
+      if (args['gtfs-stops']) providers.push(await createGtfsStopsProvider(args['gtfs-stops']));
+    } else if (name === 'stations') {
+      if (args.stations) providers.push(await createStationListProvider(args.stations));
+    } else if (name === 'nominatim') {
+      providers.push(
+        createNominatimProvider({ endpoint: args.endpoint, delayMs: Number(args.delay) })
+      );
+    } else {
+      throw new Error(`Unknown provider "${name}".`);
+    }
   }
-
-  return Array.from(stops).sort((a, b) => a.localeCompare(b));
+  if (!providers.length) {
+    throw new Error('No usable providers; pass --gtfs-stops, --stations or include nominatim.');
+  }
+  return providers;
 }
 
-function parseCsvLine(line) {
-  const result = [];
-  let current = '';
-  let inQuotes = false;
-  for (let i = 0; i < line.length; i += 1) {
-    const char = line[i];
-    if (char === '"') {
-      if (inQuotes && line[i + 1] === '"') {
-        current += '"';
-        i += 1;
-      } else {
-        inQuotes = !inQuotes;
+async function resolveStop(providers, name, neighbours) {
+  const city = cityFromName(expandName(name)) || inferCity(neighbours);
+  const query = guessQuery(name, city);
+  const context = { neighbours, city };
+  for (const provider of providers) {
+    try {
+      const result = await provider.lookup(name, query, context);
+      if (!result) continue;
+      let { confidence } = result;
+      // A remote match for a bare name with nothing to check it against is a
+      // guess; keep it for review but don't let other stops lean on it.
+      if (!provider.local && !city && !neighbours.length) {
+        confidence = Math.min(confidence, TRUSTED_CONFIDENCE - 0.05);
       }
-    } else if (char === ',' && !inQuotes) {
-      result.push(current);
-      current = '';
-    } else {
-      current += char;
+      return {
+        ...result,
+        city: result.city || city,
+        query: result.query ?? null,
+        source: provider.name,
+        confidence: Number(confidence.toFixed(2))
+      };
+    } catch (err) {
+      console.error(`${provider.name}: ${err.message}`);
     }
   }
-  result.push(current);
-  return result;
+  return null;
 }
 
-async function geocode(name, query) {
-  const url = new URL('https://nominatim.openstreetmap.org/search');
-  url.searchParams.set('format', 'jsonv2');
-  url.searchParams.set('limit', '1');
-  url.searchParams.set('addressdetails', '1');
-  url.searchParams.set('q', query);
-  url.searchParams.set('countrycodes', 'nl,de,be');
-
-  const res = await fetch(url, {
-    headers: {
-      'User-Agent': USER_AGENT
-    }
-  });
-  if (!res.ok) {
-    throw new Error(`Request failed ${res.status} for ${name}`);
-  }
-  const data = await res.json();
-  if (!data.length) return null;
-  const match = data[0];
-  return {
-    lat: Number(match.lat),
-    lng: Number(match.lon),
-    label: match.display_name,
-    query
-  };
+function record(output, name, result) {
+  output.stops[name] = result;
+  console.log(`${name}: ${result.source} (${result.confidence.toFixed(2)})`);
 }
 
 async function main() {
-  const stops = await readCsvStops();
+  if (args.help) {
+    console.log(USAGE);
+    return;
+  }
+
+  const outPath = path.resolve(args.out);
+  const providers = await createProviders();
+  const rows = await readTripRows(args.input);
+  const stops = stopNames(rows);
+  const graph = buildStopGraph(rows);
   let existing = { generatedAt: null, stops: {}, unmatched: [] };
 
   try {
-    const raw = await fs.readFile(OUT_PATH, 'utf8');
+    const raw = await fs.readFile(outPath, 'utf8');
     existing = JSON.parse(raw);
   } catch {
     // No existing file.
   }
 
+  const previouslyUnmatched = Array.isArray(existing.unmatched) ? existing.unmatched : [];
   const output = {
     generatedAt: new Date().toISOString(),
     stops: { ...existing.stops },
-    unmatched: Array.isArray(existing.unmatched) ? existing.unmatched : []
+    unmatched: args['retry-unmatched'] ? [] : previouslyUnmatched
   };
 
-  for (const name of stops) {
-    if (output.stops[name] || output.unmatched.includes(name)) continue;
-    const query = guessQuery(name);
-    if (!query) {
-      output.unmatched.push(name);
-      continue;
-    }
+  const pending = stops.filter((name) => {
+    if (output.stops[name] || output.unmatched.includes(name)) return false;
+    if (guessQuery(name)) return true;
+    output.unmatched.push(name);
+    return false;
+  });
 
-    try {
-      const result = await geocode(name, query);
-      if (!result) {
-        output.unmatched.push(name);
-      } else {
-        output.stops[name] = result;
-      }
-    } catch (err) {
-      console.error(err.message);
+  // Unambiguous matches in the local tables need no context, so they go
+  // first and give everything else neighbours to go on.
+  const localProviders = providers.filter((provider) => provider.local);
+  for (const name of [...pending]) {
+    const result = await resolveStop(localProviders, name, []);
+    if (!result) continue;
+    record(output, name, result);
+    pending.splice(pending.indexOf(name), 1);
+  }
+
+  // Stops with the most already-located connections go first, so each one
+  // that resolves gives the stops around it more to go on.
+  while (pending.length) {
+    const ranked = pending
+      .map((name) => {
+        const neighbours = resolvedNeighbours(graph, name, output.stops);
+        const evidence = neighbours.reduce((sum, neighbour) => sum + neighbour.weight, 0);
+        return { name, neighbours, evidence: cityFromName(name) ? Infinity : evidence };
+      })
+      .sort((a, b) => b.evidence - a.evidence);
+    const { name, neighbours } = ranked[0];
+    pending.splice(pending.indexOf(name), 1);
+
+    const result = await resolveStop(providers, name, neighbours);
+    if (result) {
+      record(output, name, result);
+    } else {
       output.unmatched.push(name);
     }
 
-    await fs.writeFile(OUT_PATH, JSON.stringify(output, null, 2));
-    await delay(1100);
+    await fs.writeFile(outPath, JSON.stringify(output, null, 2));
   }
 
-  await fs.writeFile(OUT_PATH, JSON.stringify(output, null, 2));
+  await fs.writeFile(outPath, JSON.stringify(output, null, 2));
   console.log(`Geocoded ${Object.keys(output.stops).length} stops.`);
   if (output.unmatched.length) {
     console.log('Unmatched stops:', output.unmatched.join(', '));
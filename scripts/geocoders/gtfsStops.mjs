@@ -0,0 +1,17 @@
+import { readTripRows } from '../lib/trips.mjs';
+import { createLocalTable } from './localTable.mjs';
+
+// Resolves stops from a GTFS stops.txt (stop_name, stop_lat, stop_lon).
+export async function createGtfsStopsProvider(file) {
+  const rows = await readTripRows([file]);
+  const table = createLocalTable(
+    'gtfs',
+    rows.map((row) => ({
+      name: row.stop_name,
+      lat: Number(row.stop_lat),
+      lng: Number(row.stop_lon)
+    }))
+  );
+  console.log(`GTFS stops: ${table.size} names from ${file}`);
+  return table;
+}
@@ -0,0 +1,64 @@
+import { cityFromName } from '../lib/context.mjs';
+import { distanceKm, rankByNeighbours } from '../lib/geo.mjs';
+import { normalizeStopName } from '../lib/trips.mjs';
+
+// Entries with the same name closer than this are one place (e.g. the
+// platforms of one stop); further apart they are different places.
+const SAME_PLACE_KM = 1.5;
+
+function addEntry(index, key, entry) {
+  const list = index.get(key) || [];
+  list.push(entry);
+  index.set(key, list);
+}
+
+function groupPlaces(entries) {
+  const places = [];
+  entries.forEach((entry) => {
+    const place = places.find((candidate) => distanceKm(candidate[0], entry) <= SAME_PLACE_KM);
+    if (place) place.push(entry);
+    else places.push([entry]);
+  });
+  return places.map((place) => ({
+    lat: place.reduce((sum, entry) => sum + entry.lat, 0) / place.length,
+    lng: place.reduce((sum, entry) => sum + entry.lng, 0) / place.length,
+    label: place[0].label,
+    city: cityFromName(place[0].label)
+  }));
+}
+
+// One place is a confident match; several places with the same name are
+// told apart by how close each is to the stops this one is connected to.
+function pick(entries, context, confidence) {
+  if (!entries?.length) return null;
+  const places = groupPlaces(entries);
+  if (places.length === 1) return { ...places[0], confidence };
+  if (!context?.neighbours?.length) return null;
+  const [best] = rankByNeighbours(places, context.neighbours);
+  return { ...best, confidence: confidence - 0.2 };
+}
+
+// Name lookup over a local table of { name, lat, lng } rows. Names are also
+// indexed without their "City, " prefix because exports often drop it.
+export function createLocalTable(name, entries) {
+  const exact = new Map();
+  const short = new Map();
+  entries.forEach((entry) => {
+    if (!entry.name || !Number.isFinite(entry.lat) || !Number.isFinite(entry.lng)) return;
+    const key = normalizeStopName(entry.name);
+    const item = { lat: entry.lat, lng: entry.lng, label: entry.name };
+    addEntry(exact, key, item);
+    const comma = key.indexOf(', ');
+    if (comma !== -1) addEntry(short, key.slice(comma + 2), item);
+  });
+
+  return {
+    name,
+    local: true,
+    size: exact.size,
+    async lookup(stopName, query, context) {
+      const key = normalizeStopName(stopName);
+      return pick(exact.get(key), context, 0.95) || pick(short.get(key), context, 0.7);
+    }
+  };
+}
@@ -0,0 +1,57 @@
+import { setTimeout as delay } from 'node:timers/promises';
+import { rankByNeighbours } from '../lib/geo.mjs';
+
+const USER_AGENT = 'trains-visualizer/1.0 (local script)';
+// A best match further than this from every connected stop is probably the
+// wrong place with the same name, so it is kept but marked for review.
+const FAR_FROM_NEIGHBOURS_KM = 30;
+
+function baseConfidence(match) {
+  const importance = Number(match.importance);
+  return Number.isFinite(importance) ? Math.min(0.9, 0.4 + importance / 2) : 0.5;
+}
+
+// Any Nominatim-compatible /search endpoint; a local mock works too. The
+// public server allows one request per second, hence the delay.
+export function createNominatimProvider({ endpoint, delayMs }) {
+  let lastRequest = 0;
+
+  return {
+    name: 'nominatim',
+    async lookup(name, query, context) {
+      if (!query) return null;
+      const wait = lastRequest + delayMs - Date.now();
+      if (wait > 0) await delay(wait);
+      lastRequest = Date.now();
+
+      const url = new URL(endpoint);
+      url.searchParams.set('format', 'jsonv2');
+      url.searchParams.set('limit', context?.neighbours?.length ? '5' : '1');
+      url.searchParams.set('addressdetails', '1');
+      url.searchParams.set('q', query);
+      url.searchParams.set('countrycodes', 'nl,de,be');
+
+      const res = await fetch(url, {
+        headers: {
+          'User-Agent': USER_AGENT
+        }
+      });
+      if (!res.ok) {
+        throw new Error(`Request failed ${res.status} for ${name}`);
+      }
+      const data = await res.json();
+      if (!data.length) return null;
+      const candidates = data.map((match) => ({
+        lat: Number(match.lat),
+        lng: Number(match.lon),
+        label: match.display_name,
+        city: match.address?.city || match.address?.town || match.address?.village || null,
+        confidence: baseConfidence(match)
+      }));
+      const [best] = rankByNeighbours(candidates, context?.neighbours);
+      const { neighbourKm, ...result } = best;
+      if (neighbourKm > FAR_FROM_NEIGHBOURS_KM) result.confidence = Math.min(result.confidence, 0.3);
+      return { ...result, query };
+    }
+  };
+}
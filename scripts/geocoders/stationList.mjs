@@ -0,0 +1,36 @@
+import fs from 'node:fs/promises';
+import path from 'node:path';
+import { readTripRows } from '../lib/trips.mjs';
+import { createLocalTable } from './localTable.mjs';
+
+// NS API station payloads list every station under several name lengths.
+function fromNsPayload(stations) {
+  return stations.flatMap((station) => {
+    const names = Object.values(station.namen || {}).concat(station.synoniemen || []);
+    return Array.from(new Set(names)).map((name) => ({
+      name,
+      lat: Number(station.lat),
+      lng: Number(station.lng)
+    }));
+  });
+}
+
+// Resolves stations from an NS station list: the JSON returned by the NS
+// stations API, or a CSV with name, lat and lng (or lon) columns.
+export async function createStationListProvider(file) {
+  let entries;
+  if (path.extname(file).toLowerCase() === '.json') {
+    const json = JSON.parse(await fs.readFile(path.resolve(file), 'utf8'));
+    entries = fromNsPayload(Array.isArray(json) ? json : json.payload || []);
+  } else {
+    const rows = await readTripRows([file]);
+    entries = rows.map((row) => ({
+      name: row.name,
+      lat: Number(row.lat),
+      lng: Number(row.lng ?? row.lon)
+    }));
+  }
+  const table = createLocalTable('stations', entries);
+  console.log(`Station list: ${table.size} names from ${file}`);
+  return table;
+}
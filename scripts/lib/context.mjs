@@ -0,0 +1,72 @@
+import { parseTime } from './time.mjs';
+
+// A leg's own endpoints can be far apart (a train), but the stop where one
+// leg ends and the next begins is nearly always the same place.
+const LEG_WEIGHT = 1;
+const TRANSFER_WEIGHT = 3;
+const TRANSFER_MINUTES = 45;
+
+function link(graph, a, b, weight) {
+  if (!a || !b || a === b) return;
+  [[a, b], [b, a]].forEach(([from, to]) => {
+    const neighbours = graph.get(from) || new Map();
+    neighbours.set(to, (neighbours.get(to) || 0) + weight);
+    graph.set(from, neighbours);
+  });
+}
+
+// Which stops each stop is connected to, through its own legs and through
+// transfers to the legs before and after it in the same journey.
+export function buildStopGraph(rows) {
+  const graph = new Map();
+  const legs = rows
+    .map((row) => ({
+      from: row['Vertrek'],
+      to: row['Bestemming'],
+      start: parseTime(row['Datum'], row['Check in']),
+      end: parseTime(row['Datum'], row['Check uit'])
+    }))
+    .filter((leg) => leg.from && leg.to && leg.start)
+    .sort((a, b) => a.start - b.start);
+
+  legs.forEach((leg, index) => {
+    link(graph, leg.from, leg.to, LEG_WEIGHT);
+    const previous = legs[index - 1];
+    if (!previous?.end) return;
+    const gap = (leg.start - previous.end) / 60000;
+    if (gap >= 0 && gap <= TRANSFER_MINUTES) link(graph, previous.to, leg.from, TRANSFER_WEIGHT);
+  });
+  return graph;
+}
+
+// "Purmerend, Tramplein" names its city; plain names like "Centrum" don't.
+export function cityFromName(name) {
+  const comma = name.indexOf(',');
+  return comma > 0 ? name.slice(0, comma).trim() : null;
+}
+
+// Guesses made without any context are too shaky to build on.
+export const TRUSTED_CONFIDENCE = 0.5;
+
+export function resolvedNeighbours(graph, name, resolved) {
+  return Array.from((graph.get(name) || new Map()).entries())
+    .filter(([neighbour]) => {
+      const entry = resolved[neighbour];
+      return entry && (entry.confidence == null || entry.confidence >= TRUSTED_CONFIDENCE);
+    })
+    .map(([neighbour, weight]) => ({ name: neighbour, weight, ...resolved[neighbour] }));
+}
+
+// The city most of a stop's connections are in, if there is a clear majority.
+export function inferCity(neighbours) {
+  const votes = new Map();
+  let total = 0;
+  neighbours.forEach((neighbour) => {
+    const city = neighbour.city || cityFromName(neighbour.name);
+    if (!city) return;
+    votes.set(city, (votes.get(city) || 0) + neighbour.weight);
+    total += neighbour.weight;
+  });
+  const [best] = Array.from(votes.entries()).sort((a, b) => b[1] - a[1]);
+  return best && best[1] / total > 0.5 ? best[0] : null;
+}
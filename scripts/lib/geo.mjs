@@ -0,0 +1,26 @@
+export function distanceKm(a, b) {
+  const toRad = (deg) => (deg * Math.PI) / 180;
+  const dLat = toRad(b.lat - a.lat);
+  const dLng = toRad(b.lng - a.lng);
+  const h =
+    Math.sin(dLat / 2) ** 2 +
+    Math.cos(toRad(a.lat)) * Math.cos(toRad(b.lat)) * Math.sin(dLng / 2) ** 2;
+  return 2 * 6371 * Math.asin(Math.sqrt(h));
+}
+
+// Weighted mean distance from a candidate to the stops it is connected to.
+export function neighbourDistance(candidate, neighbours) {
+  const total = neighbours.reduce((sum, neighbour) => sum + neighbour.weight, 0);
+  if (!total) return 0;
+  return (
+    neighbours.reduce((sum, neighbour) => sum + distanceKm(candidate, neighbour) * neighbour.weight, 0) /
+    total
+  );
+}
+
+export function rankByNeighbours(candidates, neighbours) {
+  if (!neighbours?.length) return candidates;
+  return [...candidates]
+    .map((candidate) => ({ ...candidate, neighbourKm: neighbourDistance(candidate, neighbours) }))
+    .sort((a, b) => a.neighbourKm - b.neighbourKm);
+}
@@ -0,0 +1,7 @@
+// Datum is "DD-MM-YYYY" and times are "HH:MM"; returns epoch ms or null.
+export function parseTime(dateLabel, time) {
+  const [day, month, year] = (dateLabel || '').split('-').map(Number);
+  const match = (time || '').match(/(\d{1,2}):(\d{2})/);
+  if (!day || !month || !year || !match) return null;
+  return new Date(year, month - 1, day, Number(match[1]), Number(match[2])).getTime();
+}
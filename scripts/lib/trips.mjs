@@ -0,0 +1,39 @@
+import fs from 'node:fs/promises';
+import path from 'node:path';
+import Papa from 'papaparse';
+
+// Reads NS / OV-chipkaart exports with a real CSV parser, so quoted fields
+// with commas or newlines (as in Opmerking) don't break rows apart.
+export async function readTripRows(files) {
+  const rows = [];
+  for (const file of files) {
+    const text = await fs.readFile(path.resolve(file), 'utf8');
+    const { data, errors } = Papa.parse(text, {
+      header: true,
+      skipEmptyLines: true,
+      transformHeader: (header) => header.trim()
+    });
+    errors.forEach((err) => console.warn(`${file}: row ${err.row}: ${err.message}`));
+    rows.push(...data);
+  }
+  return rows;
+}
+
+export function stopNames(rows) {
+  const stops = new Set();
+  rows.forEach((row) => {
+    if (row['Vertrek']) stops.add(row['Vertrek']);
+    if (row['Bestemming']) stops.add(row['Bestemming']);
+  });
+  return Array.from(stops).sort((a, b) => a.localeCompare(b));
+}
+
+export function normalizeStopName(name) {
+  return name
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .replace(/[.'’/-]/g, ' ')
+    .replace(/\s+/g, ' ')
+    .trim();
+}
@@ -0,0 +1,141 @@
+import { useState } from 'react';
+
+const SUGGESTION_LIMIT = 8;
+
+function AliasPanel({
+  level,
+  onLevelChange,
+  aliases,
+  suggestions,
+  stopNames,
+  onAdd,
+  onRemove,
+  onIgnore,
+  onExport
+}) {
+  const [alias, setAlias] = useState('');
+  const [canonical, setCanonical] = useState('');
+  const [showAll, setShowAll] = useState(false);
+  const entries = Object.entries(aliases).sort((a, b) => a[1].localeCompare(b[1]));
+  const shown = showAll ? suggestions : suggestions.slice(0, SUGGESTION_LIMIT);
+
+  function addAlias(event) {
+    event.preventDefault();
+    const from = alias.trim();
+    const to = canonical.trim();
+    if (!from || !to || from === to) return;
+    onAdd(from, to);
+    setAlias('');
+    setCanonical('');
+  }
+
+  return (
+    <div className="panel aliases collapsible">
+      <h2>Stop names</h2>
+      <div className="field">
+        <label htmlFor="stop-level">Group stops by</label>
+        <select
+          id="stop-level"
+          className="style-select"
+          value={level}
+          onChange={(event) => onLevelChange(event.target.value)}
+        >
+          <option value="stop">Stop</option>
+          <option value="city">City</option>
+        </select>
+      </div>
+
+      {suggestions.length > 0 && (
+        <>
+          <h3>Suggested aliases</h3>
+          <div className="list-items">
+            {shown.map((suggestion) => (
+              <div key={suggestion.key} className="list-item">
+                <div className="item-content">
+                  <span className="title">{`${suggestion.alias} → ${suggestion.canonical}`}</span>
+                  <span className="meta">
+                    {Math.round(suggestion.score * 100)}% name match
+                    {suggestion.distanceKm != null &&
+                      ` · ${Math.round(suggestion.distanceKm * 1000)} m apart`}
+                  </span>
+                </div>
+                <div className="item-actions">
+                  <button
+                    className="link-button"
+                    onClick={() => onAdd(suggestion.alias, suggestion.canonical)}
+                  >
+                    Accept
+                  </button>
+                  <button
+                    className="link-button"
+                    onClick={() => onAdd(suggestion.canonical, suggestion.alias)}
+                  >
+                    Swap
+                  </button>
+                  <button className="link-button" onClick={() => onIgnore(suggestion.key)}>
+                    Ignore
+                  </button>
+                </div>
+              </div>
+            ))}
+          </div>
+          {suggestions.length > SUGGESTION_LIMIT && (
+            <button className="link-button" onClick={() => setShowAll(!showAll)}>
+              {showAll ? 'Show fewer' : `Show all ${suggestions.length}`}
+            </button>
+          )}
+        </>
+      )}
+
+      <h3>Aliases</h3>
+      <form className="alias-form" onSubmit={addAlias}>
+        <input
+          type="text"
+          list="alias-stop-options"
+          value={alias}
+          placeholder="Name in the export"
+          onChange={(event) => setAlias(event.target.value)}
+        />
+        <input
+          type="text"
+          list="alias-stop-options"
+          value={canonical}
+          placeholder="Show as"
+          onChange={(event) => setCanonical(event.target.value)}
+        />
+        <button className="link-button" type="submit">
+          Add
+        </button>
+        <datalist id="alias-stop-options">
+          {stopNames.map((name) => (
+            <option key={name} value={name} />
+          ))}
+        </datalist>
+      </form>
+      <div className="list-items">
+        {entries.map(([from, to]) => (
+          <div key={from} className="list-item">
+            <div className="item-content">
+              <span className="title">{from}</span>
+              <span className="meta">{`shown as ${to}`}</span>
+            </div>
+            <div className="item-actions">
+              <button className="link-button" onClick={() => onRemove(from)}>
+                Remove
+              </button>
+            </div>
+          </div>
+        ))}
+      </div>
+
+      <div className="data-sources">
+        <span className="meta">{entries.length} aliases saved in this browser</span>
+        <button className="link-button" onClick={onExport} disabled={!entries.length}>
+          Export
+        </button>
+      </div>
+    </div>
+  );
+}
+
+export default AliasPanel;
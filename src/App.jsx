@@ -1,141 +1,238 @@
-import { useEffect, useMemo, useState } from 'react';
+import { Fragment, useCallback, useEffect, useMemo, useRef, useState } from 'react';
 import {
   MapContainer,
-  TileLayer,
   Polyline,
+  Polygon,
   CircleMarker,
-  Popup,
   Tooltip,
   useMap
 } from 'react-leaflet';
-import Papa from 'papaparse';
 import 'leaflet/dist/leaflet.css';
+import AliasPanel from './AliasPanel.jsx';
+import AuditPanel from './AuditPanel.jsx';
+import BaseLayer from './BaseLayer.jsx';
+import CalendarPanel from './CalendarPanel.jsx';
+import ComparePanel from './ComparePanel.jsx';
+import DataImport from './DataImport.jsx';
+import DetailDrawer from './DetailDrawer.jsx';
+import DistancePanel from './DistancePanel.jsx';
+import ExportMenu from './ExportMenu.jsx';
+import FlowLegend from './FlowLegend.jsx';
+import GeocodeReview from './GeocodeReview.jsx';
+import JourneyPanel from './JourneyPanel.jsx';
+import OdMatrixPanel from './OdMatrixPanel.jsx';
+import OfflinePanel from './OfflinePanel.jsx';
+import PlacesPanel from './PlacesPanel.jsx';
+import Playback from './Playback.jsx';
+import SpendingPanel from './SpendingPanel.jsx';
+import StopEditor from './StopEditor.jsx';
+import TimePanel from './TimePanel.jsx';
+import { isCsvFile, mergeRows, parseCsvFile, parseCsvText } from './csvImport.js';
+import { clearDataset, loadDataset, saveDataset } from './datasetStore.js';
+import {
+  loadAliases,
+  loadIgnoredSuggestions,
+  saveAliases,
+  saveIgnoredSuggestions,
+  withAliasGeometry
+} from './aliases.js';
+import { CLUSTER_MAX_ZOOM, clusterStops } from './clustering.js';
+import { CHANGE_STYLES, presetRanges } from './comparison.js';
+import { focusLabel } from './details.js';
+import { downloadJson } from './download.js';
+import { WIDTH_SCALES, arrowHead, widthScale } from './flowMap.js';
+import { formatDate, formatDistance, toInputDate } from './format.js';
+import { DEFAULT_TRANSFER_METERS, DEFAULT_TRANSFER_MINUTES } from './journeys.js';
+import {
+  MODES,
+  NO_TRANSIT_MODES,
+  loadModeOverrides,
+  loadTransitModes,
+  modeColor,
+  modeLabel,
+  overrideKey,
+  saveModeOverrides
+} from './modes.js';
+import {
+  BUILTIN_DEFAULT,
+  BUILTIN_STYLES,
+  loadMapStyles,
+  loadStoredStyle,
+  resolveStyle,
+  storeStyle
+} from './mapStyles.js';
+import { mergeDirections } from './odMatrix.js';
+import { loadPlaceEdits, resolveFocus, savePlaceEdits } from './places.js';
+import { PRODUCT_COLORS, PRODUCT_LABELS } from './products.js';
+import { loadRouteGeometry, routePositions } from './routeGeometry.js';
+import {
+  applyCorrections,
+  buildPatch,
+  correctionEntry,
+  loadCorrections,
+  saveCorrections
+} from './stopCorrections.js';
+import {
+  SHARED_ROUTE_COLOR,
+  assignColors,
+  dominantTraveller,
+  importTraveller,
+  isShared,
+  tagRows,
+  travellerColor
+} from './travellers.js';
+import { useAnalytics } from './useAnalytics.js';
+import { useDebouncedValue } from './useDebouncedValue.js';
+import {
+  buildUrlParams,
+  isTransientChange,
+  parseUrlState,
+  restoreProducts
+} from './urlState.js';
 
-const PRODUCT_COLORS = {
-  'Reizen op Rekening Trein': '#0f766e',
-  'Treinreizen': '#1f8a70',
-  'Bus, Tram en Metro reizen': '#e76f51',
-  'Intercity Direct Toeslag': '#a44a3f',
-  'Klanten Service': '#6b7280'
-};
-
-const PRODUCT_LABELS = {
-  'Reizen op Rekening Trein': 'Train (rekening)',
-  'Treinreizen': 'Train (ticket)',
-  'Bus, Tram en Metro reizen': 'Bus/Tram/Metro',
-  'Intercity Direct Toeslag': 'Intercity Direct',
-  'Klanten Service': 'Service'
-};
+const DEFAULT_SOURCE = 'trips.csv';
 
 const DEFAULT_CENTER = [52.3729, 4.8936];
 const DEFAULT_ZOOM = 10;
 
-const MAP_STYLES = {
-  standard: {
-    name: 'Standard',
-    url: 'https://{s}.tile.openstreetmap.org/{z}/{x}/{y}.png',
-    attribution: '&copy; OpenStreetMap contributors'
-  },
-  voyager: {
-    name: 'Voyager',
-    url: 'https://{s}.basemaps.cartocdn.com/rastertiles/voyager/{z}/{x}/{y}{r}.png',
-    attribution: '&copy; OpenStreetMap &copy; CARTO'
-  },
-  light: {
-    name: 'Positron',
-    url: 'https://{s}.basemaps.cartocdn.com/light_all/{z}/{x}/{y}{r}.png',
-    attribution: '&copy; OpenStreetMap &copy; CARTO'
-  },
-  dark: {
-    name: 'Dark Matter',
-    url: 'https://{s}.basemaps.cartocdn.com/dark_all/{z}/{x}/{y}{r}.png',
-    attribution: '&copy; OpenStreetMap &copy; CARTO'
-  },
-  satellite: {
-    name: 'Satellite',
-    url: 'https://server.arcgisonline.com/ArcGIS/rest/services/World_Imagery/MapServer/tile/{z}/{y}/{x}',
-    attribution: 'Tiles &copy; Esri &mdash; Source: Esri, i-cubed, USDA, USGS, AEX, GeoEye, Getmapping, Aerogrid, IGN, IGP, UPR-EBP, and the GIS User Community'
-  }
-};
-
-
-
-function parseDate(value) {
-  if (!value) return null;
-  const [day, month, year] = value.split('-').map(Number);
-  if (!day || !month || !year) return null;
-  return new Date(year, month - 1, day);
+async function loadDefaultRows() {
+  const res = await fetch(`data/${DEFAULT_SOURCE}`);
+  if (!res.ok) return { rows: [], sources: [] };
+  return { rows: parseCsvText(await res.text()), sources: [DEFAULT_SOURCE] };
 }
 
-function formatDate(date) {
-  if (!date) return '-';
-  return date.toLocaleDateString('nl-NL', {
-    year: 'numeric',
-    month: 'short',
-    day: '2-digit'
-  });
-}
-
-
-
-function toInputDate(date) {
-  if (!date) return '';
-  const year = date.getFullYear();
-  const month = `${date.getMonth() + 1}`.padStart(2, '0');
-  const day = `${date.getDate()}`.padStart(2, '0');
-  return `${year}-${month}-${day}`;
+// Refits only when fitKey changes, so edits that merely move a stop (or
+// panning that re-renders the app) don't throw the view around.
+function FitBounds({ points, fitKey, skipInitial }) {
+  const map = useMap();
+  const initialSkipped = useRef(!skipInitial);
+  const latestPoints = useRef(points);
+  latestPoints.current = points;
+  useEffect(() => {
+    const current = latestPoints.current;
+    if (!current || current.length === 0) return;
+    if (!initialSkipped.current) {
+      initialSkipped.current = true;
+      return;
+    }
+    map.fitBounds(current, { padding: [50, 50] });
+  }, [map, fitKey]);
+  return null;
 }
 
-function FitBounds({ points }) {
+function MapViewSync({ request, onViewChange }) {
   const map = useMap();
   useEffect(() => {
-    if (!points || points.length === 0) return;
-    map.fitBounds(points, { padding: [50, 50] });
-  }, [map, points]);
+    function report() {
+      const center = map.getCenter();
+      const bounds = map.getBounds();
+      onViewChange({
+        center: [center.lat, center.lng],
+        zoom: map.getZoom(),
+        bounds: [
+          [bounds.getSouth(), bounds.getWest()],
+          [bounds.getNorth(), bounds.getEast()]
+        ]
+      });
+    }
+    map.on('moveend', report);
+    return () => map.off('moveend', report);
+  }, [map, onViewChange]);
+  useEffect(() => {
+    if (request) map.setView(request.center, request.zoom);
+  }, [map, request]);
   return null;
 }
 
 function App() {
+  const [initialUrlState] = useState(() => parseUrlState(window.location.search));
+  const pendingProducts = useRef(initialUrlState.products);
+
   const [rows, setRows] = useState([]);
-  const [coords, setCoords] = useState({});
+  const [baseCoords, setBaseCoords] = useState({});
+  const [corrections, setCorrections] = useState(loadCorrections);
+  const [editingStop, setEditingStop] = useState(null);
+  const [aliases, setAliases] = useState(loadAliases);
+  const [ignoredAliases, setIgnoredAliases] = useState(loadIgnoredSuggestions);
+  const [stopLevel, setStopLevel] = useState('stop');
+  const [routeGeometry, setRouteGeometry] = useState({});
   const [loading, setLoading] = useState(true);
   const [error, setError] = useState(null);
 
   const [selectedProducts, setSelectedProducts] = useState(new Set());
   const [productsInitialized, setProductsInitialized] = useState(false);
-  const [dateStart, setDateStart] = useState(null);
-  const [dateEnd, setDateEnd] = useState(null);
-  const [search, setSearch] = useState('');
-  const [includeNonTrips, setIncludeNonTrips] = useState(false);
-  const [minRouteCount, setMinRouteCount] = useState(1);
-  const [showRoutes, setShowRoutes] = useState(true);
-  const [mapStyle, setMapStyle] = useState('voyager');
+  const [hiddenTravellers, setHiddenTravellers] = useState(
+    () => new Set(initialUrlState.hiddenTravellers)
+  );
+  const [travellerColors, setTravellerColors] = useState({});
+  const [hiddenModes, setHiddenModes] = useState(() => new Set(initialUrlState.hiddenModes));
+  const [modeOverrides, setModeOverrides] = useState(loadModeOverrides);
+  const [transitModes, setTransitModes] = useState(NO_TRANSIT_MODES);
+  const [routeColorBy, setRouteColorBy] = useState('mode');
+  const [showSharedRoutes, setShowSharedRoutes] = useState(false);
+  const [routeStyle, setRouteStyle] = useState('lines');
+  const [routeWidthScale, setRouteWidthScale] = useState('linear');
+  const [bundleRoutes, setBundleRoutes] = useState(true);
+  const [dateStart, setDateStart] = useState(initialUrlState.dateStart);
+  const [dateEnd, setDateEnd] = useState(initialUrlState.dateEnd);
+  const [search, setSearch] = useState(initialUrlState.search);
+  const debouncedSearch = useDebouncedValue(search, 250);
+  const [includeNonTrips, setIncludeNonTrips] = useState(initialUrlState.includeNonTrips);
+  const [minRouteCount, setMinRouteCount] = useState(initialUrlState.minRouteCount);
+  const [timeSlot, setTimeSlot] = useState(null);
+  const [showRoutes, setShowRoutes] = useState(initialUrlState.showRoutes);
+  const [clusterMarkers, setClusterMarkers] = useState(true);
+  const [playbackMode, setPlaybackMode] = useState(false);
+  const [showJourneys, setShowJourneys] = useState(false);
+  const [mergeRouteDirections, setMergeRouteDirections] = useState(false);
+  const [highlightedRoute, setHighlightedRoute] = useState(null);
+  const [selection, setSelection] = useState(null);
+  const [focus, setFocus] = useState(initialUrlState.focus);
+  const [placeEdits, setPlaceEdits] = useState(loadPlaceEdits);
+  const [journeySettings, setJourneySettings] = useState({
+    transferMinutes: DEFAULT_TRANSFER_MINUTES,
+    transferMeters: DEFAULT_TRANSFER_METERS
+  });
+  const [mapStyles, setMapStyles] = useState({
+    styles: BUILTIN_STYLES,
+    defaultStyle: BUILTIN_DEFAULT
+  });
+  // A style in the URL wins over the one remembered for this browser.
+  const [mapStyle, setMapStyle] = useState(
+    () => initialUrlState.mapStyle || loadStoredStyle() || BUILTIN_DEFAULT
+  );
+  const [mapView, setMapView] = useState(initialUrlState.view);
+  const [viewRequest, setViewRequest] = useState(null);
   const [sidebarVisible, setSidebarVisible] = useState(true);
+  const [compare, setCompare] = useState({
+    enabled: false,
+    preset: 'mom',
+    a: { start: null, end: null },
+    b: { start: null, end: null }
+  });
+
+  const [sources, setSources] = useState([]);
+  const [importing, setImporting] = useState(false);
+  const [importError, setImportError] = useState(null);
 
   useEffect(() => {
     async function load() {
       try {
-        const [csvRes, coordsRes] = await Promise.all([
-          fetch('data/trips.csv'),
-          fetch('data/stopCoords.json')
-        ]);
-
-        if (!csvRes.ok) {
-          throw new Error('Failed to load trips CSV.');
-        }
+        const coordsRes = await fetch('data/stopCoords.json');
         if (!coordsRes.ok) {
           throw new Error('Failed to load stop coordinates.');
         }
+        const coordsJson = await coordsRes.json();
 
-        const csvText = await csvRes.text();
-        const parsed = Papa.parse(csvText, {
-          header: true,
-          skipEmptyLines: true
-        });
+        const stored = await loadDataset().catch(() => null);
+        const dataset = stored?.rows?.length ? stored : await loadDefaultRows();
+        const geometry = await loadRouteGeometry();
 
-        const coordsJson = await coordsRes.json();
-        setRows(parsed.data || []);
-        setCoords(coordsJson.stops || {});
+        setRows(dataset.rows || []);
+        setSources(dataset.sources || []);
+        setTravellerColors(dataset.travellerColors || {});
+        setBaseCoords(coordsJson.stops || {});
+        setRouteGeometry(geometry);
       } catch (err) {
         setError(err.message || 'Failed to load data.');
       } finally {
@@ -146,148 +243,508 @@ function App() {
     load();
   }, []);
 
-  const trips = useMemo(() => {
-    return rows
-      .map((row, index) => {
-        const date = parseDate(row['Datum']);
-        return {
-          id: `${row['Datum']}-${row['Check in']}-${index}`,
-          date,
-          dateLabel: row['Datum'],
-          checkIn: row['Check in'],
-          checkOut: row['Check uit'],
-          from: row['Vertrek'] || '',
-          to: row['Bestemming'] || '',
-          transactie: row['Transactie'],
-          product: row['Product'],
-          class: row['Kl'],
-          note: row['Opmerking'] || ''
-        };
-      })
-      .filter((trip) => trip.date);
-  }, [rows]);
-
-  const allProducts = useMemo(() => {
-    const set = new Set();
-    trips.forEach((trip) => {
-      if (trip.product) set.add(trip.product);
+  useEffect(() => {
+    loadMapStyles().then(setMapStyles);
+    loadTransitModes().then(setTransitModes);
+  }, []);
+
+  const activeStyle = resolveStyle(mapStyles.styles, mapStyle, mapStyles.defaultStyle);
+
+  function changeMapStyle(id) {
+    setMapStyle(id);
+    storeStyle(id);
+  }
+
+  // The bundled trips.csv is only a placeholder until the user imports their own exports.
+  const isDefaultDataset = sources.length === 1 && sources[0] === DEFAULT_SOURCE;
+
+  function applyDataset(nextRows, nextSources, nextColors = {}) {
+    setRows(nextRows);
+    setSources(nextSources);
+    setTravellerColors(nextColors);
+    setHiddenTravellers(new Set());
+    setProductsInitialized(false);
+    setDateStart(null);
+    setDateEnd(null);
+  }
+
+  async function importFiles(files, traveller) {
+    const csvFiles = files.filter(isCsvFile);
+    if (!csvFiles.length) {
+      setImportError('Only CSV exports can be imported.');
+      return;
+    }
+    setImporting(true);
+    setImportError(null);
+    try {
+      const parsed = await Promise.all(csvFiles.map(parseCsvFile));
+      const baseRows = isDefaultDataset ? [] : rows;
+      const baseSources = isDefaultDataset ? [] : sources;
+      const fileNames = csvFiles.map((file) => file.name);
+      const name = importTraveller(traveller, fileNames, baseRows);
+      const nextRows = mergeRows(baseRows, ...parsed.map((fileRows) => tagRows(fileRows, name)));
+      const nextSources = Array.from(new Set([...baseSources, ...fileNames]));
+      const nextColors = assignColors([name], isDefaultDataset ? {} : travellerColors);
+      applyDataset(nextRows, nextSources, nextColors);
+      await saveDataset({ rows: nextRows, sources: nextSources, travellerColors: nextColors });
+    } catch (err) {
+      setImportError(err.message || 'Failed to import files.');
+    } finally {
+      setImporting(false);
+    }
+  }
+
+  async function resetDataset() {
+    setImporting(true);
+    setImportError(null);
+    try {
+      await clearDataset();
+      const dataset = await loadDefaultRows();
+      applyDataset(dataset.rows, dataset.sources);
+    } catch (err) {
+      setImportError(err.message || 'Failed to clear imported data.');
+    } finally {
+      setImporting(false);
+    }
+  }
+
+  const coords = useMemo(
+    () => applyCorrections(baseCoords, corrections),
+    [baseCoords, corrections]
+  );
+
+  const updateCorrection = useCallback((name, latlng) => {
+    setCorrections((current) => {
+      const next = { ...current, [name]: correctionEntry(latlng.lat, latlng.lng) };
+      saveCorrections(next);
+      return next;
+    });
+  }, []);
+
+  function resetCorrection(name) {
+    const next = { ...corrections };
+    delete next[name];
+    saveCorrections(next);
+    setCorrections(next);
+  }
+
+  function editStop(name) {
+    setEditingStop(name);
+    const coord = name && coords[name];
+    if (coord) {
+      setViewRequest({ center: [coord.lat, coord.lng], zoom: Math.max(mapView?.zoom ?? 0, 15) });
+    }
+  }
+
+  // The dataset is prepared in a worker and only sent there when one of these
+  // changes; corrections only send the stops that moved and filter changes
+  // only the request below.
+  const source = useMemo(
+    () => ({
+      rows,
+      coords: baseCoords,
+      geometry: routeGeometry,
+      aliases,
+      ignoredAliases,
+      modeOverrides,
+      transitModes,
+      stopLevel
+    }),
+    [
+      rows,
+      baseCoords,
+      routeGeometry,
+      aliases,
+      ignoredAliases,
+      modeOverrides,
+      transitModes,
+      stopLevel
+    ]
+  );
+
+  const routeThreshold = Math.max(1, minRouteCount);
+  const scoped = Boolean(selection);
+  const filterRequest = useMemo(
+    () => ({
+      filters: {
+        includeNonTrips,
+        selectedProducts,
+        hiddenTravellers,
+        hiddenModes,
+        dateStart,
+        dateEnd,
+        search: debouncedSearch
+      },
+      focus,
+      timeSlot,
+      placeEdits,
+      journeySettings,
+      compare:
+        compare.enabled && compare.a.start && compare.a.end && compare.b.start && compare.b.end
+          ? { a: compare.a, b: compare.b }
+          : null,
+      flow:
+        routeStyle === 'flow'
+          ? { merge: mergeRouteDirections, threshold: routeThreshold, bundled: bundleRoutes }
+          : null,
+      scoped
+    }),
+    [
+      includeNonTrips,
+      selectedProducts,
+      hiddenTravellers,
+      hiddenModes,
+      dateStart,
+      dateEnd,
+      debouncedSearch,
+      focus,
+      timeSlot,
+      placeEdits,
+      journeySettings,
+      compare,
+      routeStyle,
+      mergeRouteDirections,
+      routeThreshold,
+      bundleRoutes,
+      scoped
+    ]
+  );
+
+  const fitKey = [
+    rows.length,
+    Array.from(selectedProducts).join(','),
+    Array.from(hiddenTravellers).join(','),
+    Array.from(hiddenModes).join(','),
+    toInputDate(dateStart),
+    toInputDate(dateEnd),
+    debouncedSearch,
+    focus ? focusLabel(focus) : '',
+    includeNonTrips,
+    timeSlot ? `${timeSlot.day}:${timeSlot.hour}` : ''
+  ].join('|');
+
+  // analyticsKey is the fitKey the view was derived for, so the map only
+  // refits once the matching stops have arrived.
+  const { dataset, view, key: analyticsKey } = useAnalytics(
+    source,
+    corrections,
+    filterRequest,
+    fitKey
+  );
+  const { coords: mapCoords, dataRange, stopIssues, aliasSuggestions } = dataset;
+  const { travellers, modes: allModes, products: allProducts } = dataset;
+  // Playback, the exports and the trip counts need the trips themselves; the
+  // detail drawer gets everything but the stop/route filters, so it still
+  // shows a stop's full history while another one is in focus.
+  const { filteredTrips, scopedTrips } = view;
+  const { places, analytics, flows, timeStats, calendar, spending, audit } = view;
+  const { placeSummary, distanceStats, journeySummary, comparison } = view;
+
+  const stopGeometry = useMemo(
+    () => withAliasGeometry(routeGeometry, aliases),
+    [routeGeometry, aliases]
+  );
+
+  function addAlias(alias, canonical) {
+    const next = { ...aliases, [alias]: canonical };
+    // Pointing the canonical name back at its alias would make a loop.
+    if (next[canonical] === alias) delete next[canonical];
+    saveAliases(next);
+    setAliases(next);
+  }
+
+  function removeAlias(alias) {
+    const next = { ...aliases };
+    delete next[alias];
+    saveAliases(next);
+    setAliases(next);
+  }
+
+  function ignoreAlias(key) {
+    const next = [...ignoredAliases, key];
+    saveIgnoredSuggestions(next);
+    setIgnoredAliases(next);
+  }
+
+  function toggleMode(mode) {
+    setHiddenModes((current) => {
+      const next = new Set(current);
+      if (next.has(mode)) next.delete(mode);
+      else next.add(mode);
+      return next;
+    });
+  }
+
+  function overrideMode(from, to, mode) {
+    const next = { ...modeOverrides };
+    if (mode) next[overrideKey(from, to)] = mode;
+    else delete next[overrideKey(from, to)];
+    saveModeOverrides(next);
+    setModeOverrides(next);
+  }
+  const colors = useMemo(
+    () => assignColors(travellers, travellerColors),
+    [travellers, travellerColors]
+  );
+
+  function changeTravellerColor(name, color) {
+    const next = { ...colors, [name]: color };
+    setTravellerColors(next);
+    if (!isDefaultDataset) {
+      saveDataset({ rows, sources, travellerColors: next }).catch(() => {});
+    }
+  }
+
+  function toggleTraveller(name) {
+    setHiddenTravellers((current) => {
+      const next = new Set(current);
+      if (next.has(name)) next.delete(name);
+      else next.add(name);
+      return next;
     });
-    return Array.from(set).sort((a, b) => a.localeCompare(b));
-  }, [trips]);
+  }
 
   useEffect(() => {
     if (allProducts.length && !productsInitialized) {
-      setSelectedProducts(new Set(allProducts));
+      setSelectedProducts(new Set(restoreProducts(pendingProducts.current, allProducts)));
+      pendingProducts.current = null;
       setProductsInitialized(true);
     }
   }, [allProducts, productsInitialized]);
 
-  const dataRange = useMemo(() => {
-    if (!trips.length) return { min: null, max: null };
-    const dates = trips.map((trip) => trip.date);
-    const min = new Date(Math.min(...dates));
-    const max = new Date(Math.max(...dates));
-    return { min, max };
-  }, [trips]);
-
   useEffect(() => {
     if (!dataRange.min || !dataRange.max) return;
     if (!dateStart) setDateStart(dataRange.min);
     if (!dateEnd) setDateEnd(dataRange.max);
   }, [dataRange, dateStart, dateEnd]);
 
-  const filteredTrips = useMemo(() => {
-    const query = search.trim().toLowerCase();
-    return trips.filter((trip) => {
-      if (!includeNonTrips && trip.transactie !== 'Reis') return false;
-      if (selectedProducts.size === 0) return false;
-      if (!selectedProducts.has(trip.product)) return false;
-      if (dateStart && trip.date < dateStart) return false;
-      if (dateEnd && trip.date > dateEnd) return false;
-      if (query) {
-        const match = `${trip.from} ${trip.to}`.toLowerCase();
-        if (!match.includes(query)) return false;
-      }
-      return true;
-    });
-  }, [trips, includeNonTrips, selectedProducts, dateStart, dateEnd, search]);
-
-  const analytics = useMemo(() => {
-    const routeMap = new Map();
-    const stopMap = new Map();
-    const productMap = new Map();
-    const missing = new Set();
-
-    filteredTrips.forEach((trip) => {
-      productMap.set(trip.product, (productMap.get(trip.product) || 0) + 1);
-
-      if (trip.transactie !== 'Reis') return;
-      if (!trip.from || !trip.to) return;
-
-      const fromCoord = coords[trip.from];
-      const toCoord = coords[trip.to];
-
-      if (!fromCoord) missing.add(trip.from);
-      if (!toCoord) missing.add(trip.to);
-
-      if (!fromCoord || !toCoord) return;
-
-      const routeKey = `${trip.from} -> ${trip.to}`;
-      const route = routeMap.get(routeKey) || {
-        from: trip.from,
-        to: trip.to,
-        fromCoord,
-        toCoord,
-        count: 0,
-        products: new Map(),
-        dates: []
-      };
-      route.count += 1;
-      route.products.set(trip.product, (route.products.get(trip.product) || 0) + 1);
-      route.dates.push(trip.date);
-      routeMap.set(routeKey, route);
-
-      stopMap.set(trip.from, (stopMap.get(trip.from) || 0) + 1);
-      stopMap.set(trip.to, (stopMap.get(trip.to) || 0) + 1);
-    });
+  useEffect(() => {
+    if (loading || !productsInitialized || !dateStart || !dateEnd) return;
+    const next = buildUrlParams(
+      {
+        search,
+        focus,
+        selectedProducts,
+        hiddenTravellers,
+        hiddenModes,
+        dateStart,
+        dateEnd,
+        minRouteCount,
+        showRoutes,
+        includeNonTrips,
+        mapStyle: activeStyle.id,
+        view: mapView
+      },
+      { allProducts, dataRange, defaultStyle: mapStyles.defaultStyle }
+    );
+    const current = new URLSearchParams(window.location.search);
+    if (next.toString() === current.toString()) return;
+    const query = next.toString();
+    const url = `${window.location.pathname}${query ? `?${query}` : ''}${window.location.hash}`;
+    if (isTransientChange(current, next)) {
+      window.history.replaceState(null, '', url);
+    } else {
+      window.history.pushState(null, '', url);
+    }
+  }, [
+    loading,
+    productsInitialized,
+    search,
+    focus,
+    selectedProducts,
+    hiddenTravellers,
+    hiddenModes,
+    dateStart,
+    dateEnd,
+    minRouteCount,
+    showRoutes,
+    includeNonTrips,
+    activeStyle.id,
+    mapStyles.defaultStyle,
+    mapView,
+    allProducts,
+    dataRange
+  ]);
 
-    const routes = Array.from(routeMap.values()).sort((a, b) => b.count - a.count);
-    const stops = Array.from(stopMap.entries())
-      .map(([name, count]) => ({
-        name,
-        count,
-        coord: coords[name]
-      }))
-      .sort((a, b) => b.count - a.count);
-
-    const products = Array.from(productMap.entries())
-      .map(([name, count]) => ({ name, count }))
-      .sort((a, b) => b.count - a.count);
-
-    return {
-      routes,
-      stops,
-      products,
-      missing: Array.from(missing).sort((a, b) => a.localeCompare(b))
-    };
-  }, [filteredTrips, coords]);
+  useEffect(() => {
+    function handlePopState() {
+      const state = parseUrlState(window.location.search);
+      setSearch(state.search);
+      setFocus(state.focus);
+      setSelectedProducts(new Set(restoreProducts(state.products, allProducts)));
+      setHiddenTravellers(new Set(state.hiddenTravellers));
+      setHiddenModes(new Set(state.hiddenModes));
+      setDateStart(state.dateStart || dataRange.min);
+      setDateEnd(state.dateEnd || dataRange.max);
+      setMinRouteCount(state.minRouteCount);
+      setShowRoutes(state.showRoutes);
+      setIncludeNonTrips(state.includeNonTrips);
+      setMapStyle(state.mapStyle || loadStoredStyle() || mapStyles.defaultStyle);
+      if (state.view) setViewRequest(state.view);
+    }
+    window.addEventListener('popstate', handlePopState);
+    return () => window.removeEventListener('popstate', handlePopState);
+  }, [allProducts, dataRange, mapStyles.defaultStyle]);
 
-  const routeThreshold = Math.max(1, minRouteCount);
-  const visibleRoutes = analytics.routes.filter((route) => route.count >= routeThreshold);
+  const activeFocus = useMemo(() => resolveFocus(focus, places), [focus, places]);
+
+  // Edits found through an older stop list move to the place's current id.
+  function updatePlace(id, patch) {
+    const key = places.find((place) => place.id === id)?.editKey || id;
+    const next = { ...placeEdits };
+    delete next[key];
+    next[id] = { ...placeEdits[key], ...patch };
+    savePlaceEdits(next);
+    setPlaceEdits(next);
+  }
+
+  function resetPlaceEdits() {
+    savePlaceEdits({});
+    setPlaceEdits({});
+  }
+
+  const journeyLines = useMemo(() => {
+    if (!showJourneys) return [];
+    return journeySummary.routes
+      .filter((route) => route.mainStops.every((stop) => mapCoords[stop]))
+      .map((route) => ({
+        ...route,
+        positions: route.mainStops.slice(1).flatMap((stop, index) => {
+          const previous = route.mainStops[index];
+          return routePositions(stopGeometry, previous, stop, mapCoords[previous], mapCoords[stop]);
+        })
+      }));
+  }, [showJourneys, journeySummary, mapCoords, stopGeometry]);
+
+  function changeComparePreset(preset) {
+    if (preset === 'custom' || !dateStart || !dateEnd) {
+      setCompare((current) => ({ ...current, preset }));
+      return;
+    }
+    setCompare((current) => ({ ...current, preset, ...presetRanges(preset, dateStart, dateEnd) }));
+  }
+
+  function changeCompare(next) {
+    // Ranges are filled from the preset when compare mode is switched on.
+    const empty = !next.a.start || !next.b.start;
+    if (next.enabled && !compare.enabled && empty && dateStart && dateEnd) {
+      setCompare({ ...next, ...presetRanges(next.preset, dateStart, dateEnd) });
+      return;
+    }
+    setCompare(next);
+  }
 
-  const maxRouteCount = analytics.routes.length
-    ? Math.max(...analytics.routes.map((route) => route.count))
+  const compareMaxCount = comparison?.routes.length
+    ? Math.max(...comparison.routes.map((change) => Math.max(change.a, change.b)))
     : 1;
-  const visibleMaxRouteCount = visibleRoutes.length
-    ? Math.max(...visibleRoutes.map((route) => route.count))
+
+  const mapRoutes = useMemo(
+    () => (mergeRouteDirections ? mergeDirections(analytics.routes) : analytics.routes),
+    [mergeRouteDirections, analytics.routes]
+  );
+  const visibleRoutes = useMemo(
+    () => mapRoutes.filter((route) => route.count >= routeThreshold),
+    [mapRoutes, routeThreshold]
+  );
+
+  const routeWidth = useMemo(
+    () => widthScale(visibleRoutes.map((route) => route.count), routeWidthScale),
+    [visibleRoutes, routeWidthScale]
+  );
+
+  function routeLine(route) {
+    return flows?.get(`${route.from} -> ${route.to}`) || route.positions;
+  }
+
+  const colorBy = routeColorBy === 'traveller' && travellers.length < 2 ? 'mode' : routeColorBy;
+
+  function dominantKey(counts) {
+    return Array.from(counts.entries()).sort((a, b) => b[1] - a[1])[0]?.[0];
+  }
+
+  function routeColor(route, fallback) {
+    if (colorBy === 'traveller') return travellerColor(colors, dominantTraveller(route), fallback);
+    if (colorBy === 'mode') return modeColor(dominantKey(route.modes), fallback);
+    return PRODUCT_COLORS[dominantKey(route.products)] || fallback;
+  }
+
+  function routeColorLabel(route) {
+    if (colorBy === 'traveller') return dominantTraveller(route) || 'Unknown';
+    if (colorBy === 'mode') return modeLabel(dominantKey(route.modes)) || 'Unknown';
+    const product = dominantKey(route.products);
+    return PRODUCT_LABELS[product] || product || 'Unknown';
+  }
+
+  const colorLegend = Array.from(
+    new Map(
+      visibleRoutes.map((route) => [routeColorLabel(route), routeColor(route, '#0f766e')])
+    ).entries()
+  ).map(([label, color]) => ({ key: label, label, color }));
+
+  // Legs per mode on the visible routes, listed even when routes are coloured
+  // by product or traveller.
+  const modeLegend = useMemo(() => {
+    const counts = new Map();
+    visibleRoutes.forEach((route) =>
+      route.modes.forEach((count, mode) => counts.set(mode, (counts.get(mode) || 0) + count))
+    );
+    return MODES.filter((mode) => counts.has(mode)).map((mode) => ({
+      mode,
+      label: modeLabel(mode),
+      color: modeColor(mode),
+      count: counts.get(mode)
+    }));
+  }, [visibleRoutes]);
+
+  function travellerSummary(route) {
+    return Array.from(route.travellers.entries())
+      .sort((a, b) => b[1] - a[1])
+      .map(([name, count]) => `${name} ${count}`)
+      .join(', ');
+  }
+
+  function isHighlightedRoute(route) {
+    if (!highlightedRoute) return false;
+    if (route.from === highlightedRoute.from && route.to === highlightedRoute.to) return true;
+    return (
+      Boolean(route.undirected) &&
+      route.from === highlightedRoute.to &&
+      route.to === highlightedRoute.from
+    );
+  }
+
+  const maxRouteCount = mapRoutes.length
+    ? Math.max(...mapRoutes.map((route) => route.count))
     : 1;
 
+  const zoom = mapView?.zoom ?? initialUrlState.view?.zoom ?? DEFAULT_ZOOM;
+  const stopMarkers = useMemo(
+    () => clusterStops(analytics.stops, clusterMarkers ? zoom : CLUSTER_MAX_ZOOM + 1),
+    [analytics.stops, clusterMarkers, zoom]
+  );
   const stopCounts = analytics.stops.map((stop) => stop.count);
   const maxStopCount = stopCounts.length ? Math.max(...stopCounts) : 1;
+  const maxClusterCount = stopMarkers.length
+    ? Math.max(...stopMarkers.map((marker) => marker.count))
+    : 1;
+
+  const boundsPoints = useMemo(
+    () =>
+      analytics.stops
+        .filter((stop) => stop.coord)
+        .map((stop) => [stop.coord.lat, stop.coord.lng]),
+    [analytics.stops]
+  );
 
-  const boundsPoints = analytics.stops
-    .filter((stop) => stop.coord)
-    .map((stop) => [stop.coord.lat, stop.coord.lng]);
+  const stopBounds = useMemo(() => {
+    if (!boundsPoints.length) return null;
+    const lats = boundsPoints.map(([lat]) => lat);
+    const lngs = boundsPoints.map(([, lng]) => lng);
+    return [
+      [Math.min(...lats), Math.min(...lngs)],
+      [Math.max(...lats), Math.max(...lngs)]
+    ];
+  }, [boundsPoints]);
 
   const filteredCount = filteredTrips.length;
   const tripCount = filteredTrips.filter((trip) => trip.transactie === 'Reis').length;
@@ -340,44 +797,179 @@ function App() {
   return (
     <div className={`app ${!sidebarVisible ? 'ui-hidden' : ''}`}>
       <div className="map-background">
-        <MapContainer center={DEFAULT_CENTER} zoom={DEFAULT_ZOOM} className="map" zoomControl={false}>
-          <TileLayer
-            attribution={MAP_STYLES[mapStyle].attribution}
-            url={MAP_STYLES[mapStyle].url}
-          />
+        <MapContainer
+          center={initialUrlState.view?.center || DEFAULT_CENTER}
+          zoom={initialUrlState.view?.zoom ?? DEFAULT_ZOOM}
+          className="map"
+          zoomControl={false}
+          preferCanvas
+        >
+          <BaseLayer style={activeStyle} />
 
-          {boundsPoints.length > 0 && <FitBounds points={boundsPoints} />}
+          {boundsPoints.length > 0 && (
+            <FitBounds
+              points={boundsPoints}
+              fitKey={analyticsKey}
+              skipInitial={Boolean(initialUrlState.view)}
+            />
+          )}
+          <MapViewSync request={viewRequest} onViewChange={setMapView} />
+          {editingStop && (
+            <StopEditor name={editingStop} coord={coords[editingStop]} onChange={updateCorrection} />
+          )}
 
-          {showRoutes && visibleRoutes.map((route) => {
-            const weight = 1.5 + (route.count / visibleMaxRouteCount) * 5;
-            const dominant = Array.from(route.products.entries()).sort((a, b) => b[1] - a[1])[0];
-            const color = PRODUCT_COLORS[dominant?.[0]] || '#0f766e';
+          {playbackMode && <Playback trips={filteredTrips} coords={mapCoords} geometry={stopGeometry} />}
+
+          {comparison && !playbackMode && comparison.routes
+            .filter((change) => Math.max(change.a, change.b) >= routeThreshold)
+            .map((change) => {
+              const style = CHANGE_STYLES[change.status];
+              const { route } = change;
+              return (
+                <Polyline
+                  key={`compare-${route.from}-${route.to}`}
+                  positions={route.positions}
+                  pathOptions={{
+                    color: style.color,
+                    weight: 1.5 + (Math.max(change.a, change.b) / compareMaxCount) * 5,
+                    opacity: change.status === 'same' ? 0.45 : 0.85,
+                    dashArray: style.dashArray
+                  }}
+                  eventHandlers={{
+                    click: () => setSelection({ type: 'route', from: route.from, to: route.to })
+                  }}
+                >
+                  <Tooltip sticky>
+                    {`${route.from} -> ${route.to} - ${style.label}: ${change.a} -> ${change.b} trips`}
+                  </Tooltip>
+                </Polyline>
+              );
+            })}
+
+          {showRoutes && !playbackMode && !comparison && visibleRoutes.map((route) => {
+            const highlighted = isHighlightedRoute(route);
+            const weight = routeWidth.width(route.count) + (highlighted ? 4 : 0);
+            const color = routeColor(route, '#0f766e');
+            const arrow = route.undirected ? '<->' : '->';
+            const positions = routeLine(route);
+            const head = flows && !route.undirected && arrowHead(positions, zoom, 6 + weight * 1.5);
+            let opacity = 0.65;
+            if (highlighted) opacity = 1;
+            else if (highlightedRoute) opacity = 0.2;
+            const select = () =>
+              setSelection({
+                type: 'route',
+                from: route.from,
+                to: route.to,
+                undirected: Boolean(route.undirected)
+              });
             return (
+              <Fragment key={`${route.from}-${route.to}`}>
+                <Polyline
+                  positions={positions}
+                  pathOptions={{
+                    color,
+                    weight,
+                    opacity
+                  }}
+                  eventHandlers={{ click: select }}
+                >
+                  <Tooltip sticky>
+                    {`${route.from} ${arrow} ${route.to} - ${route.count} trips, ${formatDistance(route.distanceKm)}`}
+                    {travellers.length > 1 && <div>{travellerSummary(route)}</div>}
+                  </Tooltip>
+                </Polyline>
+                {head && (
+                  <Polygon
+                    positions={head}
+                    pathOptions={{ color, weight: 0, fillColor: color, fillOpacity: opacity }}
+                    eventHandlers={{ click: select }}
+                  />
+                )}
+              </Fragment>
+            );
+          })}
+
+          {showRoutes && showSharedRoutes && !playbackMode && !comparison &&
+            visibleRoutes.filter(isShared).map((route) => (
               <Polyline
-                key={`${route.from}-${route.to}`}
-                positions={[
-                  [route.fromCoord.lat, route.fromCoord.lng],
-                  [route.toCoord.lat, route.toCoord.lng]
-                ]}
+                key={`shared-${route.from}-${route.to}`}
+                positions={routeLine(route)}
                 pathOptions={{
-                  color,
-                  weight,
-                  opacity: 0.65
+                  color: SHARED_ROUTE_COLOR,
+                  weight: 2,
+                  opacity: 0.9,
+                  dashArray: '2 6'
+                }}
+                eventHandlers={{
+                  click: () =>
+                    setSelection({
+                      type: 'route',
+                      from: route.from,
+                      to: route.to,
+                      undirected: Boolean(route.undirected)
+                    })
                 }}
               >
                 <Tooltip sticky>
-                  {`${route.from} -> ${route.to} - ${route.count} trips`}
+                  <strong>Shared route</strong>
+                  <div>{`${route.from} ${route.undirected ? '<->' : '->'} ${route.to}`}</div>
+                  <div>{travellerSummary(route)}</div>
                 </Tooltip>
               </Polyline>
-            );
-          })}
+            ))}
+
+          {journeyLines.map((route) => (
+            <Polyline
+              key={`journey-${route.key}`}
+              positions={route.positions}
+              pathOptions={{
+                color: '#1f2a28',
+                weight: 1.5 + (route.count / journeySummary.routes[0].count) * 4,
+                opacity: 0.7,
+                dashArray: '6 6'
+              }}
+            >
+              <Tooltip sticky>
+                {`${route.from} -> ${route.to} - ${route.count} journeys`}
+              </Tooltip>
+            </Polyline>
+          ))}
 
-          {analytics.stops.map((stop) => {
-            if (!stop.coord) return null;
+          {stopMarkers.map((marker) => {
+            if (marker.stops.length > 1) {
+              return (
+                <CircleMarker
+                  key={marker.key}
+                  center={[marker.coord.lat, marker.coord.lng]}
+                  radius={10 + Math.sqrt(marker.count / maxClusterCount) * 10}
+                  pathOptions={{
+                    color: '#0f766e',
+                    weight: 2,
+                    fillColor: '#0f766e',
+                    fillOpacity: 0.35
+                  }}
+                  eventHandlers={{
+                    click: () =>
+                      setViewRequest({
+                        center: [marker.coord.lat, marker.coord.lng],
+                        zoom: Math.min(zoom + 2, CLUSTER_MAX_ZOOM + 1)
+                      })
+                  }}
+                >
+                  <Tooltip>
+                    <strong>{marker.stops.length} stops</strong>
+                    <div>{marker.count} check-ins</div>
+                    <div>{marker.stops.slice(0, 3).map((stop) => stop.name).join(', ')}</div>
+                  </Tooltip>
+                </CircleMarker>
+              );
+            }
+            const [stop] = marker.stops;
             const radius = 4 + (stop.count / maxStopCount) * 8;
             return (
               <CircleMarker
-                key={stop.name}
+                key={marker.key}
                 center={[stop.coord.lat, stop.coord.lng]}
                 radius={radius}
                 pathOptions={{
@@ -386,11 +978,15 @@ function App() {
                   fillColor: '#e76f51',
                   fillOpacity: 0.65
                 }}
+                eventHandlers={{
+                  click: () => setSelection({ type: 'stop', name: stop.name })
+                }}
               >
-                <Popup>
+                <Tooltip>
                   <strong>{stop.name}</strong>
                   <div>{stop.count} check-ins</div>
-                </Popup>
+                  {stop.local > 0 && <div>{stop.local} trips within {stop.name}</div>}
+                </Tooltip>
               </CircleMarker>
             );
           })}
@@ -416,10 +1012,29 @@ function App() {
             </div>
           </header>
 
+          <DataImport
+            sources={sources}
+            rowCount={rows.length}
+            travellers={travellers}
+            canReset={!isDefaultDataset && sources.length > 0}
+            busy={importing}
+            error={importError}
+            onImport={importFiles}
+            onReset={resetDataset}
+          />
+
           <div className="panel filters">
             <div className="panel-header">
               <h2>Filters</h2>
             </div>
+            {focus && (
+              <div className="active-filter">
+                <span>{focusLabel(activeFocus)}</span>
+                <button className="link-button" onClick={() => setFocus(null)}>
+                  Clear
+                </button>
+              </div>
+            )}
             <div className="field">
               <label htmlFor="search">Search stops</label>
               <input
@@ -431,7 +1046,7 @@ function App() {
                 onChange={(event) => setSearch(event.target.value)}
               />
               <datalist id="stop-options">
-                {Object.keys(coords).sort().map(stopName => (
+                {Object.keys(mapCoords).sort().map(stopName => (
                   <option key={stopName} value={stopName} />
                 ))}
               </datalist>
@@ -461,11 +1076,11 @@ function App() {
               <label>Style & Map</label>
               <select
                 className="style-select"
-                value={mapStyle}
-                onChange={(e) => setMapStyle(e.target.value)}
+                value={activeStyle.id}
+                onChange={(e) => changeMapStyle(e.target.value)}
               >
-                {Object.entries(MAP_STYLES).map(([key, style]) => (
-                  <option key={key} value={key}>{style.name}</option>
+                {mapStyles.styles.map((style) => (
+                  <option key={style.id} value={style.id}>{style.name}</option>
                 ))}
               </select>
             </div>
@@ -479,6 +1094,22 @@ function App() {
                 />
                 Show routes
               </label>
+              <label>
+                <input
+                  type="checkbox"
+                  checked={playbackMode}
+                  onChange={(event) => setPlaybackMode(event.target.checked)}
+                />
+                Timeline playback
+              </label>
+              <label>
+                <input
+                  type="checkbox"
+                  checked={clusterMarkers}
+                  onChange={(event) => setClusterMarkers(event.target.checked)}
+                />
+                Cluster stops
+              </label>
             </div>
 
             <div className="field">
@@ -510,6 +1141,113 @@ function App() {
                 ))}
               </div>
             </div>
+
+            {allModes.length > 0 && (
+              <div className="field">
+                <label>Modes</label>
+                <div className="products-grid">
+                  {allModes.map((mode) => (
+                    <button
+                      key={mode}
+                      className={`product-chip ${hiddenModes.has(mode) ? '' : 'active'}`}
+                      onClick={() => toggleMode(mode)}
+                    >
+                      <span className="swatch" style={{ background: modeColor(mode) }} />
+                      {modeLabel(mode)}
+                    </button>
+                  ))}
+                </div>
+              </div>
+            )}
+
+            {travellers.length > 0 && (
+              <div className="field">
+                <label>Travellers</label>
+                <div className="products-grid">
+                  {travellers.map((name) => (
+                    <div
+                      key={name}
+                      className={`product-chip traveller-chip ${hiddenTravellers.has(name) ? '' : 'active'}`}
+                    >
+                      <input
+                        type="color"
+                        className="swatch-input"
+                        value={travellerColor(colors, name)}
+                        title={`Colour for ${name}`}
+                        onChange={(event) => changeTravellerColor(name, event.target.value)}
+                      />
+                      <button className="chip-label" onClick={() => toggleTraveller(name)}>
+                        {name}
+                      </button>
+                    </div>
+                  ))}
+                </div>
+              </div>
+            )}
+
+            <div className="field">
+              <label>Colour routes by</label>
+              <select
+                className="style-select"
+                value={colorBy}
+                onChange={(event) => setRouteColorBy(event.target.value)}
+              >
+                <option value="mode">Mode</option>
+                <option value="product">Product</option>
+                {travellers.length > 1 && <option value="traveller">Traveller</option>}
+              </select>
+            </div>
+
+            <div className="field">
+              <label>Draw routes as</label>
+              <select
+                className="style-select"
+                value={routeStyle}
+                onChange={(event) => setRouteStyle(event.target.value)}
+              >
+                <option value="lines">Lines along the track</option>
+                <option value="flow">Flow map</option>
+              </select>
+            </div>
+
+            <div className="field">
+              <label>Line width scale</label>
+              <select
+                className="style-select"
+                value={routeWidthScale}
+                onChange={(event) => setRouteWidthScale(event.target.value)}
+              >
+                {Object.entries(WIDTH_SCALES).map(([value, label]) => (
+                  <option key={value} value={value}>{label}</option>
+                ))}
+              </select>
+            </div>
+
+            {routeStyle === 'flow' && (
+              <div className="field toggles">
+                <label>
+                  <input
+                    type="checkbox"
+                    checked={bundleRoutes}
+                    onChange={(event) => setBundleRoutes(event.target.checked)}
+                  />
+                  Bundle routes
+                </label>
+              </div>
+            )}
+
+            {travellers.length > 1 && (
+              <div className="field toggles">
+                <label>
+                  <input
+                    type="checkbox"
+                    checked={showSharedRoutes}
+                    onChange={(event) => setShowSharedRoutes(event.target.checked)}
+                  />
+                  Shared routes
+                </label>
+              </div>
+            )}
           </div>
 
           <div className="panel summary collapsible">
@@ -539,16 +1277,62 @@ function App() {
             </div>
           </div>
 
+          <JourneyPanel
+            summary={journeySummary}
+            settings={journeySettings}
+            onSettingsChange={setJourneySettings}
+            showJourneys={showJourneys}
+            onShowJourneysChange={setShowJourneys}
+          />
+
+          <ComparePanel
+            compare={compare}
+            onCompareChange={changeCompare}
+            onPresetChange={changeComparePreset}
+            result={comparison}
+          />
+
+          <TimePanel stats={timeStats} slot={timeSlot} onSlotChange={setTimeSlot} />
+
+          <CalendarPanel
+            calendar={calendar}
+            dateStart={dateStart}
+            dateEnd={dateEnd}
+            onRangeChange={(start, end) => {
+              setDateStart(start);
+              setDateEnd(end);
+            }}
+          />
+
+          <PlacesPanel
+            places={places}
+            stats={placeSummary}
+            focus={activeFocus}
+            onFocus={(place) =>
+              setFocus(place && { type: 'place', id: place.id, label: place.label, stops: place.stops })
+            }
+            onUpdate={updatePlace}
+            editCount={Object.keys(placeEdits).length}
+            onResetEdits={resetPlaceEdits}
+          />
+
+          <SpendingPanel spending={spending} />
+
+          <AuditPanel audit={audit} onSelectTrip={(trip) => setSelection({ type: 'trip', trip })} />
+
+          <DistancePanel stats={distanceStats} />
+
           <div className="panel list collapsible">
             <h2>Top routes</h2>
             <div className="list-items">
               {visibleRoutes.slice(0, 5).map((route, index) => {
-                const dominant = Array.from(route.products.entries()).sort((a, b) => b[1] - a[1])[0];
-                const color = PRODUCT_COLORS[dominant?.[0]] || '#94a3b8';
+                const color = routeColor(route, '#94a3b8');
                 return (
                   <div key={`${route.from}-${route.to}`} className="list-item" style={{ '--delay': `${index * 70}ms` }}>
                     <div className="item-content">
-                      <span className="title">{`${route.from} → ${route.to}`}</span>
+                      <span className="title">
+                        {`${route.from} ${route.undirected ? '⇄' : '→'} ${route.to}`}
+                      </span>
                       <span className="meta">{route.count} trips</span>
                     </div>
                     <span className="dot" style={{ background: color }} />
@@ -558,11 +1342,67 @@ function App() {
             </div>
           </div>
 
+          <OdMatrixPanel
+            routes={analytics.routes}
+            mergeDirections={mergeRouteDirections}
+            onMergeDirectionsChange={setMergeRouteDirections}
+            highlight={highlightedRoute}
+            onHighlight={setHighlightedRoute}
+          />
+
+          <ExportMenu
+            routes={visibleRoutes}
+            stops={analytics.stops}
+            trips={filteredTrips}
+            products={analytics.products}
+            mapBounds={mapView?.bounds}
+            boundsPoints={boundsPoints}
+            summary={{
+              tripCount,
+              stopCount: uniqueStops,
+              routeCount: visibleRoutes.length,
+              distanceKm: distanceStats.totalKm
+            }}
+            subtitle={`${formatDate(dateStart)} to ${formatDate(dateEnd)}`}
+          />
+
+          <OfflinePanel
+            style={activeStyle}
+            viewBounds={mapView?.bounds}
+            stopBounds={stopBounds}
+            zoom={zoom}
+          />
+
+          <AliasPanel
+            level={stopLevel}
+            onLevelChange={setStopLevel}
+            aliases={aliases}
+            suggestions={aliasSuggestions}
+            stopNames={Object.keys(coords).sort()}
+            onAdd={addAlias}
+            onRemove={removeAlias}
+            onIgnore={ignoreAlias}
+            onExport={() => downloadJson('stopAliases.json', aliases)}
+          />
+
+          <GeocodeReview
+            issues={stopIssues}
+            editingStop={editingStop}
+            onEdit={editStop}
+            onReset={resetCorrection}
+            onExport={() => downloadJson('stopCoords.patch.json', buildPatch(corrections))}
+            correctionCount={Object.keys(corrections).length}
+          />
+
           <div className="panel stats-grid">
             <div className="stat">
               <span>Total Trips</span>
               <strong>{tripCount}</strong>
             </div>
+            <div className="stat">
+              <span>Total km</span>
+              <strong>{formatDistance(distanceStats.totalKm)}</strong>
+            </div>
             <div className="stat">
               <span>Unique Stops</span>
               <strong>{uniqueStops}</strong>
@@ -574,6 +1414,31 @@ function App() {
 
           </div>
         </aside>
+
+        {showRoutes && !playbackMode && !comparison && !selection && visibleRoutes.length > 0 && (
+          <FlowLegend
+            widths={routeWidth.legend}
+            scale={routeWidthScale}
+            colors={colorLegend}
+            colorBy={colorBy}
+            modes={modeLegend}
+            flow={Boolean(flows)}
+          />
+        )}
+
+        {selection && (
+          <DetailDrawer
+            selection={selection}
+            trips={scopedTrips || []}
+            flags={audit.flags}
+            modeOverrides={modeOverrides}
+            onModeOverride={stopLevel === 'city' ? null : overrideMode}
+            dataRange={dataRange}
+            onClose={() => setSelection(null)}
+            onFocus={setFocus}
+            onSelect={setSelection}
+          />
+        )}
       </main>
     </div>
   );
@@ -0,0 +1,68 @@
+import { useState } from 'react';
+import { AUDIT_TYPES, auditToCsv } from './audit.js';
+import { downloadText } from './download.js';
+import { formatCurrency, formatDate } from './format.js';
+
+const VISIBLE_ENTRIES = 25;
+
+function AuditPanel({ audit, onSelectTrip }) {
+  const [openType, setOpenType] = useState(null);
+
+  return (
+    <div className="panel audit collapsible">
+      <h2>Audit</h2>
+      {!audit.total && <p className="meta">No check-in issues in this period.</p>}
+      <div className="audit-groups">
+        {audit.groups
+          .filter((group) => group.entries.length)
+          .map((group) => {
+            const open = openType === group.type;
+            return (
+              <div key={group.type} className={`audit-group ${group.type}`}>
+                <button
+                  className="list-item list-button"
+                  onClick={() => setOpenType(open ? null : group.type)}
+                >
+                  <div className="item-content">
+                    <span className="title">{AUDIT_TYPES[group.type].label}</span>
+                    <span className="meta">{AUDIT_TYPES[group.type].hint}</span>
+                  </div>
+                  <strong className="amount">{group.entries.length}</strong>
+                </button>
+                {open && (
+                  <div className="audit-entries">
+                    {group.entries.slice(0, VISIBLE_ENTRIES).map((entry) => (
+                      <button
+                        key={`${entry.type}-${entry.trip.id}`}
+                        className="audit-entry"
+                        onClick={() => onSelectTrip(entry.trip)}
+                      >
+                        <span className="trip-date">{formatDate(entry.trip.date)}</span>
+                        <span className="audit-reason">{entry.reason}</span>
+                        {entry.trip.amount != null && (
+                          <span className="meta">{formatCurrency(entry.trip.amount)}</span>
+                        )}
+                      </button>
+                    ))}
+                    {group.entries.length > VISIBLE_ENTRIES && (
+                      <p className="meta">and {group.entries.length - VISIBLE_ENTRIES} more</p>
+                    )}
+                  </div>
+                )}
+              </div>
+            );
+          })}
+      </div>
+      {audit.total > 0 && (
+        <button
+          className="link-button"
+          onClick={() => downloadText('check-in-audit.csv', auditToCsv(audit.groups), 'text/csv')}
+        >
+          Download CSV for a refund claim
+        </button>
+      )}
+    </div>
+  );
+}
+
+export default AuditPanel;
@@ -0,0 +1,69 @@
+import { useEffect } from 'react';
+import { TileLayer, useMap } from 'react-leaflet';
+import { PMTiles, Protocol, leafletRasterLayer } from 'pmtiles';
+
+let vectorModules = null;
+
+// MapLibre is large, so it is only loaded once a vector style is picked.
+function loadVectorModules() {
+  if (!vectorModules) {
+    vectorModules = Promise.all([
+      import('maplibre-gl'),
+      import('@maplibre/maplibre-gl-leaflet'),
+      import('maplibre-gl/dist/maplibre-gl.css')
+    ]).then(([maplibre, plugin]) => {
+      const maplibregl = maplibre.default || maplibre;
+      // Vector styles may point at PMTiles archives as pmtiles://<url>.
+      maplibregl.addProtocol('pmtiles', new Protocol().tile);
+      return { maplibreGL: plugin.maplibreGL || plugin.default?.maplibreGL };
+    });
+  }
+  return vectorModules;
+}
+
+function PmtilesLayer({ style }) {
+  const map = useMap();
+  useEffect(() => {
+    const layer = leafletRasterLayer(new PMTiles(style.url), {
+      attribution: style.attribution,
+      maxZoom: style.maxZoom
+    });
+    layer.addTo(map);
+    return () => layer.remove();
+  }, [map, style]);
+  return null;
+}
+
+function VectorLayer({ style }) {
+  const map = useMap();
+  useEffect(() => {
+    let layer = null;
+    let cancelled = false;
+    loadVectorModules().then(({ maplibreGL }) => {
+      if (cancelled) return;
+      layer = maplibreGL({ style: style.style, attribution: style.attribution });
+      layer.addTo(map);
+    });
+    return () => {
+      cancelled = true;
+      layer?.remove();
+    };
+  }, [map, style]);
+  return null;
+}
+
+function BaseLayer({ style }) {
+  if (style.type === 'pmtiles') return <PmtilesLayer key={style.id} style={style} />;
+  if (style.type === 'vector') return <VectorLayer key={style.id} style={style} />;
+  return (
+    <TileLayer
+      key={style.id}
+      url={style.url}
+      attribution={style.attribution}
+      maxZoom={style.maxZoom || 19}
+      subdomains={style.subdomains || 'abc'}
+    />
+  );
+}
+
+export default BaseLayer;
@@ -0,0 +1,179 @@
+import { useState } from 'react';
+import { monthRange, weekRange } from './calendar.js';
+import { formatDate, formatMonth, toInputDate } from './format.js';
+import { WEEKDAYS } from './timeStats.js';
+
+function inSelection(date, dateStart, dateEnd) {
+  const key = toInputDate(date);
+  return (!dateStart || key >= toInputDate(dateStart)) && (!dateEnd || key <= toInputDate(dateEnd));
+}
+
+function DayDetails({ day }) {
+  return (
+    <div className="calendar-details">
+      <strong>{formatDate(day.date)}</strong>
+      <span className="meta">
+        {day.count ? `${day.count} legs` : 'No travel'}
+        {day.busy ? ' - unusually busy' : ''}
+      </span>
+      {day.legs.slice(0, 6).map((trip) => (
+        <span key={trip.id} className="meta">
+          {trip.checkIn ? `${trip.checkIn} ` : ''}
+          {`${trip.from} → ${trip.to}`}
+        </span>
+      ))}
+      {day.legs.length > 6 && <span className="meta">+{day.legs.length - 6} more</span>}
+      {day.firstVisits.length > 0 && (
+        <span className="meta">First visit: {day.firstVisits.join(', ')}</span>
+      )}
+    </div>
+  );
+}
+
+function CalendarPanel({ calendar, dateStart, dateEnd, onRangeChange }) {
+  const [hovered, setHovered] = useState(null);
+  const busiestMonth = calendar.months.reduce(
+    (best, month) => (!best || month.travelDays > best.travelDays ? month : best),
+    null
+  );
+
+  function monthShare(month) {
+    return busiestMonth?.travelDays ? month.travelDays / busiestMonth.travelDays : 0;
+  }
+
+  function select({ start, end }) {
+    onRangeChange(start, end);
+  }
+
+  return (
+    <div className="panel calendar collapsible">
+      <h2>Calendar</h2>
+      <div className="calendar-scroll">
+        <div
+          className="calendar-grid"
+          style={{ gridTemplateColumns: `28px repeat(${calendar.weeks.length}, 12px)` }}
+          onMouseLeave={() => setHovered(null)}
+        >
+          <span />
+          {calendar.weeks.map((week, column) => {
+            const month = calendar.months.find((entry) => entry.column === column);
+            return month ? (
+              <button
+                key={week.start.getTime()}
+                className="calendar-month"
+                title={`${formatMonth(month.key)}: ${month.travelDays} travel days`}
+                onClick={() => select(monthRange(month.date))}
+              >
+                {month.date.toLocaleDateString('nl-NL', { month: 'short' })}
+              </button>
+            ) : (
+              <span key={week.start.getTime()} />
+            );
+          })}
+
+          {WEEKDAYS.map((label, weekday) => (
+            <div key={label} className="calendar-row">
+              <span className="heatmap-label">{weekday % 2 === 0 ? label : ''}</span>
+              {calendar.weeks.map((week) => {
+                const day = week.days[weekday];
+                if (!day.inRange) return <span key={day.key} />;
+                const selected = inSelection(day.date, dateStart, dateEnd);
+                return (
+                  <button
+                    key={day.key}
+                    className={`calendar-day ${selected ? '' : 'outside'} ${day.unusual ? 'unusual' : ''}`}
+                    style={{ '--level': calendar.maxCount ? day.count / calendar.maxCount : 0 }}
+                    onMouseEnter={() => setHovered(day)}
+                    onClick={() => select({ start: day.date, end: day.date })}
+                  />
+                );
+              })}
+            </div>
+          ))}
+
+          <span />
+          {calendar.weeks.map((week) => (
+            <button
+              key={week.start.getTime()}
+              className="calendar-week"
+              title={`Week of ${formatDate(week.start)}`}
+              onClick={() => select(weekRange(week.start))}
+            />
+          ))}
+        </div>
+      </div>
+
+      {hovered ? (
+        <DayDetails day={hovered} />
+      ) : (
+        <p className="meta">Hover a day for its legs; click a day, week or month to filter.</p>
+      )}
+
+      <div className="stats-grid calendar-stats">
+        <div className="stat">
+          <span>Travel days</span>
+          <strong>{calendar.travelDays || 0}</strong>
+        </div>
+        <div className="stat">
+          <span>Longest streak</span>
+          <strong>{calendar.longest ? `${calendar.longest.length} d` : '-'}</strong>
+        </div>
+        <div className="stat">
+          <span>Current streak</span>
+          <strong>{calendar.current ? `${calendar.current.length} d` : '-'}</strong>
+        </div>
+        <div className="stat">
+          <span>Busiest month</span>
+          <strong>{busiestMonth?.travelDays ? formatMonth(busiestMonth.key) : '-'}</strong>
+        </div>
+      </div>
+
+      {calendar.months.length > 0 && (
+        <>
+          <h3>Travel days per month</h3>
+          <div className="calendar-months">
+            {calendar.months.map((month) => (
+              <button
+                key={month.key}
+                className="calendar-month-count"
+                onClick={() => select(monthRange(month.date))}
+              >
+                <span>{formatMonth(month.key)}</span>
+                <strong>{month.travelDays}</strong>
+                <span className="track">
+                  <span className="fill" style={{ width: `${monthShare(month) * 100}%` }} />
+                </span>
+              </button>
+            ))}
+          </div>
+        </>
+      )}
+
+      {calendar.unusual.length > 0 && (
+        <>
+          <h3>Unusual days</h3>
+          <div className="list-items">
+            {calendar.unusual.slice(0, 5).map((day) => (
+              <button
+                key={day.key}
+                className="list-item list-button"
+                onClick={() => select({ start: day.date, end: day.date })}
+              >
+                <div className="item-content">
+                  <span className="title">{formatDate(day.date)}</span>
+                  <span className="meta">
+                    {day.firstVisits.length
+                      ? `First visit: ${day.firstVisits.join(', ')}`
+                      : `${day.legs.length} legs`}
+                  </span>
+                </div>
+              </button>
+            ))}
+          </div>
+        </>
+      )}
+    </div>
+  );
+}
+
+export default CalendarPanel;
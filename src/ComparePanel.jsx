@@ -0,0 +1,131 @@
+import { CHANGE_STYLES, COMPARE_PRESETS, percentChange } from './comparison.js';
+import { formatCurrency, formatDistance, toInputDate } from './format.js';
+import { productLabel } from './products.js';
+
+function formatMetric(key, value) {
+  if (key === 'spend') return formatCurrency(value);
+  if (key === 'distanceKm') return formatDistance(value);
+  return value;
+}
+
+function Change({ a, b }) {
+  const change = percentChange(a, b);
+  if (change === null) return <span className="change up">new</span>;
+  const rounded = Math.round(change);
+  const direction = rounded > 0 ? 'up' : rounded < 0 ? 'down' : '';
+  return <span className={`change ${direction}`}>{`${rounded > 0 ? '+' : ''}${rounded}%`}</span>;
+}
+
+function parseInput(value) {
+  if (!value) return null;
+  const [year, month, day] = value.split('-').map(Number);
+  return new Date(year, month - 1, day);
+}
+
+function RangeInputs({ label, range, onChange }) {
+  return (
+    <div className="field range">
+      <label>{label}</label>
+      <div className="range-inputs">
+        <input
+          type="date"
+          value={toInputDate(range.start)}
+          onChange={(event) => onChange({ ...range, start: parseInput(event.target.value) })}
+        />
+        <input
+          type="date"
+          value={toInputDate(range.end)}
+          onChange={(event) => onChange({ ...range, end: parseInput(event.target.value) })}
+        />
+      </div>
+    </div>
+  );
+}
+
+function ComparePanel({ compare, onCompareChange, onPresetChange, result }) {
+  return (
+    <div className="panel compare collapsible">
+      <h2>Compare periods</h2>
+      <div className="field toggles">
+        <label>
+          <input
+            type="checkbox"
+            checked={compare.enabled}
+            onChange={(event) => onCompareChange({ ...compare, enabled: event.target.checked })}
+          />
+          Compare mode
+        </label>
+      </div>
+
+      {compare.enabled && (
+        <>
+          <div className="field">
+            <select
+              className="style-select"
+              value={compare.preset}
+              onChange={(event) => onPresetChange(event.target.value)}
+            >
+              {Object.entries(COMPARE_PRESETS).map(([key, label]) => (
+                <option key={key} value={key}>{label}</option>
+              ))}
+            </select>
+          </div>
+          <RangeInputs
+            label="Period A"
+            range={compare.a}
+            onChange={(a) => onCompareChange({ ...compare, preset: 'custom', a })}
+          />
+          <RangeInputs
+            label="Period B"
+            range={compare.b}
+            onChange={(b) => onCompareChange({ ...compare, preset: 'custom', b })}
+          />
+
+          {result && (
+            <>
+              <table className="compare-table">
+                <thead>
+                  <tr>
+                    <th />
+                    <th>A</th>
+                    <th>B</th>
+                    <th />
+                  </tr>
+                </thead>
+                <tbody>
+                  {result.metrics.map((metric) => (
+                    <tr key={metric.key}>
+                      <th>{metric.label}</th>
+                      <td>{formatMetric(metric.key, metric.a)}</td>
+                      <td>{formatMetric(metric.key, metric.b)}</td>
+                      <td><Change a={metric.a} b={metric.b} /></td>
+                    </tr>
+                  ))}
+                  {result.products.map((product) => (
+                    <tr key={product.name} className="compare-product">
+                      <th>{productLabel(product.name)}</th>
+                      <td>{product.a}</td>
+                      <td>{product.b}</td>
+                      <td><Change a={product.a} b={product.b} /></td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+
+              <div className="legend">
+                {Object.entries(CHANGE_STYLES).map(([key, style]) => (
+                  <span key={key} className="legend-item">
+                    <span className="legend-line" style={{ background: style.color }} />
+                    {style.label} ({result.routes.filter((route) => route.status === key).length})
+                  </span>
+                ))}
+              </div>
+            </>
+          )}
+        </>
+      )}
+    </div>
+  );
+}
+
+export default ComparePanel;
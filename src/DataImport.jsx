@@ -0,0 +1,75 @@
+import { useRef, useState } from 'react';
+
+function DataImport({ sources, rowCount, travellers, canReset, busy, error, onImport, onReset }) {
+  const inputRef = useRef(null);
+  const [dragging, setDragging] = useState(false);
+  const [traveller, setTraveller] = useState('');
+
+  function handleFiles(fileList) {
+    const files = Array.from(fileList || []);
+    if (files.length) onImport(files, traveller.trim());
+  }
+
+  return (
+    <div className="panel data-import collapsible">
+      <h2>Data</h2>
+      <div className="field">
+        <label htmlFor="traveller">Traveller or card</label>
+        <input
+          id="traveller"
+          type="text"
+          list="traveller-options"
+          value={traveller}
+          placeholder="Defaults to the current traveller or first file name"
+          onChange={(event) => setTraveller(event.target.value)}
+        />
+        <datalist id="traveller-options">
+          {travellers.map((name) => (
+            <option key={name} value={name} />
+          ))}
+        </datalist>
+      </div>
+      <div
+        className={`drop-zone ${dragging ? 'dragging' : ''}`}
+        onDragOver={(event) => {
+          event.preventDefault();
+          setDragging(true);
+        }}
+        onDragLeave={() => setDragging(false)}
+        onDrop={(event) => {
+          event.preventDefault();
+          setDragging(false);
+          handleFiles(event.dataTransfer.files);
+        }}
+        onClick={() => inputRef.current?.click()}
+      >
+        <p>{busy ? 'Reading exports...' : 'Drop NS / OV-chipkaart CSV exports here'}</p>
+        <span className="meta">or click to choose files</span>
+        <input
+          ref={inputRef}
+          type="file"
+          accept=".csv,text/csv"
+          multiple
+          hidden
+          onChange={(event) => {
+            handleFiles(event.target.files);
+            event.target.value = '';
+          }}
+        />
+      </div>
+      {error && <p className="import-error">{error}</p>}
+      <div className="data-sources">
+        <span className="meta">
+          {rowCount} rows from {sources.length ? sources.join(', ') : 'no files'}
+        </span>
+        {canReset && (
+          <button className="link-button" onClick={onReset} disabled={busy}>
+            Clear
+          </button>
+        )}
+      </div>
+    </div>
+  );
+}
+
+export default DataImport;
@@ -0,0 +1,290 @@
+import { AUDIT_TYPES } from './audit.js';
+import { buildDetails, focusLabel } from './details.js';
+import { formatCurrency, formatDate, formatDistance, formatDuration, formatMonth } from './format.js';
+import { MODES, modeLabel, overrideKey } from './modes.js';
+import { productColor, productLabel } from './products.js';
+
+function formatTime(date) {
+  if (!date) return '--:--';
+  return date.toLocaleTimeString('nl-NL', { hour: '2-digit', minute: '2-digit' });
+}
+
+function Sparkline({ points }) {
+  if (points.length < 2) return null;
+  const max = Math.max(1, ...points.map((point) => point.count));
+  const width = 300;
+  const height = 48;
+  const step = width / (points.length - 1);
+  const path = points
+    .map((point, index) => `${index * step},${height - (point.count / max) * (height - 4) - 2}`)
+    .join(' ');
+  return (
+    <svg className="sparkline" viewBox={`0 0 ${width} ${height}`} preserveAspectRatio="none">
+      <polyline points={`0,${height} ${path} ${width},${height}`} className="sparkline-area" />
+      <polyline points={path} className="sparkline-line" />
+      {points.map((point, index) => (
+        <rect
+          key={point.key}
+          x={index * step - step / 2}
+          y={0}
+          width={step}
+          height={height}
+          fill="transparent"
+        >
+          <title>{`${formatMonth(point.key)}: ${point.count}`}</title>
+        </rect>
+      ))}
+    </svg>
+  );
+}
+
+function TripDetails({ trip, flags, onClose, onSelect }) {
+  const fields = [
+    ['Date', formatDate(trip.date)],
+    ['Check-in', trip.checkIn || '-'],
+    ['Check-out', trip.checkOut || '-'],
+    ['Duration', formatDuration(trip.durationMin)],
+    ['Distance', formatDistance(trip.distanceKm)],
+    ['Amount', formatCurrency(trip.amount)],
+    ['Transaction', trip.transactie || '-'],
+    ['Product', productLabel(trip.product) || '-'],
+    ['Class', trip.class || '-'],
+    ['Traveller', trip.traveller || '-'],
+    ['Remark', trip.note || '-']
+  ];
+
+  return (
+    <aside className="detail-drawer panel">
+      <div className="drawer-header">
+        <div>
+          <span className="meta">Trip</span>
+          <h2>{`${trip.from || '?'} → ${trip.to || '?'}`}</h2>
+        </div>
+        <button className="link-button" onClick={onClose}>
+          ✕
+        </button>
+      </div>
+
+      {flags.length > 0 && (
+        <div className="trip-flags">
+          {flags.map((type) => (
+            <span key={type} className="trip-flag">
+              {AUDIT_TYPES[type].label}
+            </span>
+          ))}
+        </div>
+      )}
+
+      <dl className="trip-fields">
+        {fields.map(([label, value]) => (
+          <div key={label}>
+            <dt>{label}</dt>
+            <dd>{value}</dd>
+          </div>
+        ))}
+      </dl>
+
+      {trip.from && trip.to && (
+        <button
+          className="product-chip active drawer-action"
+          onClick={() => onSelect({ type: 'route', from: trip.from, to: trip.to })}
+        >
+          Show this route
+        </button>
+      )}
+      {trip.from && (
+        <button
+          className="product-chip drawer-action"
+          onClick={() => onSelect({ type: 'stop', name: trip.from })}
+        >
+          Show {trip.from}
+        </button>
+      )}
+    </aside>
+  );
+}
+
+function ModeOverride({ selection, details, overrides, onOverride }) {
+  const override = overrides[overrideKey(selection.from, selection.to)] || '';
+  const inferred = details.modes
+    .map(([mode, count]) => `${modeLabel(mode)} ${count}`)
+    .join(', ');
+  return (
+    <div className="field mode-override">
+      <label htmlFor="route-mode">Mode</label>
+      <select
+        id="route-mode"
+        className="style-select"
+        value={override}
+        onChange={(event) => onOverride(selection.from, selection.to, event.target.value)}
+      >
+        <option value="">{override ? 'Automatic' : `Automatic (${inferred || 'unknown'})`}</option>
+        {MODES.map((mode) => (
+          <option key={mode} value={mode}>
+            {modeLabel(mode)}
+          </option>
+        ))}
+      </select>
+      {override && <span className="meta">Set by you for both directions</span>}
+    </div>
+  );
+}
+
+function DetailDrawer({
+  selection,
+  trips,
+  flags,
+  modeOverrides,
+  onModeOverride,
+  dataRange,
+  onClose,
+  onFocus,
+  onSelect
+}) {
+  if (selection.type === 'trip') {
+    return (
+      <TripDetails
+        trip={selection.trip}
+        flags={flags.get(selection.trip.id) || []}
+        onClose={onClose}
+        onSelect={onSelect}
+      />
+    );
+  }
+  return (
+    <SelectionDetails
+      selection={selection}
+      trips={trips}
+      flags={flags}
+      modeOverrides={modeOverrides}
+      onModeOverride={onModeOverride}
+      dataRange={dataRange}
+      onClose={onClose}
+      onFocus={onFocus}
+      onSelect={onSelect}
+    />
+  );
+}
+
+function SelectionDetails({
+  selection,
+  trips,
+  flags,
+  modeOverrides,
+  onModeOverride,
+  dataRange,
+  onClose,
+  onFocus,
+  onSelect
+}) {
+  const details = buildDetails(trips, selection, dataRange);
+
+  return (
+    <aside className="detail-drawer panel">
+      <div className="drawer-header">
+        <div>
+          <span className="meta">{selection.type === 'stop' ? 'Stop' : 'Route'}</span>
+          <h2>{focusLabel(selection)}</h2>
+        </div>
+        <button className="link-button" onClick={onClose}>
+          ✕
+        </button>
+      </div>
+
+      <div className="stats-grid">
+        <div className="stat">
+          <span>Trips</span>
+          <strong>{details.count}</strong>
+        </div>
+        <div className="stat">
+          <span>Typical time</span>
+          <strong>{formatDuration(details.typicalDuration)}</strong>
+        </div>
+        <div className="stat">
+          <span>First</span>
+          <strong>{formatDate(details.first?.date)}</strong>
+        </div>
+        <div className="stat">
+          <span>Last</span>
+          <strong>{formatDate(details.last?.date)}</strong>
+        </div>
+      </div>
+
+      <Sparkline points={details.timeline} />
+
+      <button className="product-chip active drawer-action" onClick={() => onFocus(selection)}>
+        Filter to this {selection.type}
+      </button>
+
+      {selection.type === 'route' && onModeOverride && (
+        <ModeOverride
+          selection={selection}
+          details={details}
+          overrides={modeOverrides}
+          onOverride={onModeOverride}
+        />
+      )}
+
+      <h3>Products</h3>
+      <div className="bars">
+        {details.products.map(([product, count]) => (
+          <div key={product} className="bar">
+            <div className="bar-info">
+              <span>{productLabel(product)}</span>
+              <strong>{count}</strong>
+            </div>
+            <div className="track">
+              <div
+                className="fill"
+                style={{
+                  width: `${(count / details.count) * 100}%`,
+                  background: productColor(product)
+                }}
+              />
+            </div>
+          </div>
+        ))}
+      </div>
+
+      {details.connected.length > 0 && (
+        <>
+          <h3>Connected stops</h3>
+          <div className="list-items">
+            {details.connected.slice(0, 8).map(([name, count]) => (
+              <button key={name} className="list-item list-button" onClick={() => onSelect({ type: 'stop', name })}>
+                <span className="title">{name}</span>
+                <span className="meta">{count}×</span>
+              </button>
+            ))}
+          </div>
+        </>
+      )}
+
+      <h3>Trips</h3>
+      <div className="trip-list">
+        {details.trips.slice(0, 200).map((trip) => {
+          const tripFlags = flags.get(trip.id);
+          return (
+            <button
+              key={trip.id}
+              className={`trip-row ${tripFlags ? 'flagged' : ''}`}
+              title={tripFlags?.map((type) => AUDIT_TYPES[type].label).join(', ')}
+              onClick={() => onSelect({ type: 'trip', trip })}
+            >
+              <span className="trip-date">{formatDate(trip.date)}</span>
+              <span className="trip-time">
+                {formatTime(trip.start)}–{formatTime(trip.end)}
+              </span>
+              <span className="trip-route">{`${trip.from} → ${trip.to}`}</span>
+            </button>
+          );
+        })}
+        {details.trips.length > 200 && (
+          <p className="meta">and {details.trips.length - 200} more</p>
+        )}
+      </div>
+    </aside>
+  );
+}
+
+export default DetailDrawer;
@@ -0,0 +1,82 @@
+import { MODE_LABELS } from './emissions.js';
+import { formatDistance, formatMonth, formatWeight } from './format.js';
+import { productColor, productLabel } from './products.js';
+
+function DistancePanel({ stats }) {
+  const maxProduct = Math.max(...stats.products.map((product) => product.distanceKm), 1);
+  const maxMonth = Math.max(...stats.months.map((month) => month.distanceKm), 1);
+
+  return (
+    <div className="panel distance collapsible">
+      <h2>Distance & CO₂</h2>
+      <div className="stats-grid">
+        <div className="stat">
+          <span>Travelled</span>
+          <strong>{formatDistance(stats.totalKm)}</strong>
+        </div>
+        <div className="stat">
+          <span>CO₂ estimate</span>
+          <strong>{formatWeight(stats.co2Kg)}</strong>
+        </div>
+        <div className="stat">
+          <span>By car</span>
+          <strong>{formatWeight(stats.carCo2Kg)}</strong>
+        </div>
+        <div className="stat">
+          <span>Saved</span>
+          <strong>{formatWeight(stats.savedKg)}</strong>
+        </div>
+      </div>
+
+      <h3>Per product</h3>
+      <div className="bars">
+        {stats.products.map((product) => (
+          <div key={product.key} className="bar">
+            <div className="bar-info">
+              <span>{productLabel(product.key)}</span>
+              <strong>{formatDistance(product.distanceKm)}</strong>
+            </div>
+            <div className="track">
+              <div
+                className="fill"
+                style={{
+                  width: `${(product.distanceKm / maxProduct) * 100}%`,
+                  background: productColor(product.key)
+                }}
+              />
+            </div>
+          </div>
+        ))}
+      </div>
+
+      <h3>Per month</h3>
+      <div className="month-bars">
+        {stats.months.map((month) => (
+          <div
+            key={month.key}
+            className="month-bar"
+            title={`${formatMonth(month.key)}: ${formatDistance(month.distanceKm)}, ${formatWeight(month.co2Kg)} CO₂`}
+            style={{ height: `${Math.max(4, (month.distanceKm / maxMonth) * 100)}%` }}
+          />
+        ))}
+      </div>
+
+      <h3>Per mode</h3>
+      <div className="list-items">
+        {stats.modes.map((mode) => (
+          <div key={mode.key} className="list-item">
+            <div className="item-content">
+              <span className="title">{MODE_LABELS[mode.key] || mode.key}</span>
+              <span className="meta">
+                {mode.count} legs · {formatDistance(mode.distanceKm)}
+              </span>
+            </div>
+            <strong className="amount">{formatWeight(mode.co2Kg)}</strong>
+          </div>
+        ))}
+      </div>
+    </div>
+  );
+}
+
+export default DistancePanel;
@@ -0,0 +1,89 @@
+import { useState } from 'react';
+import { downloadBlob, downloadJson, downloadText } from './download.js';
+import { buildPosterSvg, cleanTrips, posterSummary, svgToPng, toGeoJson, tripsToCsv } from './exporters.js';
+
+function boundsOf(points) {
+  const lats = points.map(([lat]) => lat);
+  const lngs = points.map(([, lng]) => lng);
+  return [
+    [Math.min(...lats), Math.min(...lngs)],
+    [Math.max(...lats), Math.max(...lngs)]
+  ];
+}
+
+function ExportMenu({ routes, stops, trips, products, mapBounds, boundsPoints, summary, subtitle }) {
+  const [error, setError] = useState(null);
+  const stamp = new Date().toISOString().slice(0, 10);
+
+  function poster() {
+    const bounds = mapBounds || (boundsPoints.length ? boundsOf(boundsPoints) : null);
+    if (!bounds) throw new Error('Nothing on the map to export.');
+    return buildPosterSvg({
+      routes,
+      stops,
+      bounds,
+      title: 'Travel Lines',
+      subtitle,
+      summary: posterSummary(summary),
+      products
+    });
+  }
+
+  async function run(action) {
+    setError(null);
+    try {
+      await action();
+    } catch (err) {
+      setError(err.message || 'Export failed.');
+    }
+  }
+
+  return (
+    <div className="panel export collapsible">
+      <h2>Export</h2>
+      <div className="export-buttons">
+        <button
+          className="product-chip"
+          onClick={() =>
+            run(() => downloadJson(`travel-lines-${stamp}.geojson`, toGeoJson(routes, stops)))
+          }
+        >
+          GeoJSON
+        </button>
+        <button
+          className="product-chip"
+          onClick={() =>
+            run(() => downloadText(`trips-${stamp}.csv`, tripsToCsv(trips), 'text/csv'))
+          }
+        >
+          Trips CSV
+        </button>
+        <button
+          className="product-chip"
+          onClick={() => run(() => downloadJson(`trips-${stamp}.json`, cleanTrips(trips)))}
+        >
+          Trips JSON
+        </button>
+        <button
+          className="product-chip"
+          onClick={() =>
+            run(() => downloadText(`travel-lines-${stamp}.svg`, poster(), 'image/svg+xml'))
+          }
+        >
+          Poster SVG
+        </button>
+        <button
+          className="product-chip"
+          onClick={() =>
+            run(async () => downloadBlob(`travel-lines-${stamp}.png`, await svgToPng(poster())))
+          }
+        >
+          Poster PNG
+        </button>
+      </div>
+      {error && <p className="import-error">{error}</p>}
+    </div>
+  );
+}
+
+export default ExportMenu;
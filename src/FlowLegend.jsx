@@ -0,0 +1,48 @@
+import { WIDTH_SCALES } from './flowMap.js';
+
+const COLOR_TITLES = {
+  mode: 'Colour: mode',
+  product: 'Colour: product',
+  traveller: 'Colour: traveller'
+};
+
+function FlowLegend({ widths, scale, colors, colorBy, modes, flow }) {
+  return (
+    <div className="flow-legend">
+      <h3>{`Width: trips (${WIDTH_SCALES[scale].toLowerCase()})`}</h3>
+      <div className="flow-legend-widths">
+        {widths.map((entry) => (
+          <div key={entry.label} className="legend-item">
+            <span className="flow-legend-line" style={{ height: `${entry.width}px` }} />
+            {entry.label}
+          </div>
+        ))}
+      </div>
+      <h3>{COLOR_TITLES[colorBy]}</h3>
+      <div className="legend">
+        {colors.map((entry) => (
+          <span key={entry.key} className="legend-item">
+            <span className="legend-line" style={{ background: entry.color }} />
+            {entry.label}
+          </span>
+        ))}
+      </div>
+      {colorBy !== 'mode' && modes.length > 0 && (
+        <>
+          <h3>Modes</h3>
+          <div className="legend">
+            {modes.map((entry) => (
+              <span key={entry.mode} className="legend-item">
+                <span className="legend-line" style={{ background: entry.color }} />
+                {`${entry.label} ${entry.count}`}
+              </span>
+            ))}
+          </div>
+        </>
+      )}
+      {flow && <p className="meta">Arcs bend right in the direction of travel.</p>}
+    </div>
+  );
+}
+
+export default FlowLegend;
@@ -0,0 +1,57 @@
+function GeocodeReview({ issues, editingStop, onEdit, onReset, onExport, correctionCount }) {
+  return (
+    <div className="panel geocode-review collapsible">
+      <h2>Stop locations</h2>
+      {editingStop ? (
+        <div className="active-filter">
+          <span>Drag the marker or click the map to place {editingStop}</span>
+          <button className="link-button" onClick={() => onEdit(null)}>
+            Done
+          </button>
+        </div>
+      ) : (
+        <p className="meta">
+          {issues.filter((issue) => !issue.corrected).length} stops need a look
+        </p>
+      )}
+
+      <div className="list-items">
+        {issues.map((issue) => (
+          <div
+            key={issue.name}
+            className={`list-item ${editingStop === issue.name ? 'selected' : ''}`}
+          >
+            <div className="item-content">
+              <span className="title">{issue.name}</span>
+              <span className="meta">
+                {issue.reason} / {issue.count} check-ins
+              </span>
+            </div>
+            <div className="item-actions">
+              {issue.corrected && (
+                <button className="link-button" onClick={() => onReset(issue.name)}>
+                  Undo
+                </button>
+              )}
+              <button
+                className="link-button"
+                onClick={() => onEdit(editingStop === issue.name ? null : issue.name)}
+              >
+                {editingStop === issue.name ? 'Stop' : 'Fix'}
+              </button>
+            </div>
+          </div>
+        ))}
+      </div>
+
+      <div className="data-sources">
+        <span className="meta">{correctionCount} corrections saved in this browser</span>
+        <button className="link-button" onClick={onExport} disabled={!correctionCount}>
+          Export patch
+        </button>
+      </div>
+    </div>
+  );
+}
+
+export default GeocodeReview;
@@ -0,0 +1,65 @@
+import { formatDuration } from './format.js';
+
+function JourneyPanel({ summary, settings, onSettingsChange, showJourneys, onShowJourneysChange }) {
+  return (
+    <div className="panel journeys collapsible">
+      <h2>Journeys</h2>
+      <p className="meta">
+        {summary.total} door-to-door journeys, {summary.multiLeg} with transfers
+      </p>
+
+      <div className="field">
+        <label>Transfer window: {settings.transferMinutes} min</label>
+        <input
+          type="range"
+          min="5"
+          max="90"
+          step="5"
+          value={settings.transferMinutes}
+          onChange={(event) =>
+            onSettingsChange({ ...settings, transferMinutes: Number(event.target.value) })
+          }
+        />
+      </div>
+      <div className="field">
+        <label>Max transfer walk: {settings.transferMeters} m</label>
+        <input
+          type="range"
+          min="0"
+          max="2000"
+          step="100"
+          value={settings.transferMeters}
+          onChange={(event) =>
+            onSettingsChange({ ...settings, transferMeters: Number(event.target.value) })
+          }
+        />
+      </div>
+      <div className="field toggles">
+        <label>
+          <input
+            type="checkbox"
+            checked={showJourneys}
+            onChange={(event) => onShowJourneysChange(event.target.checked)}
+          />
+          Show journeys on map
+        </label>
+      </div>
+
+      <div className="list-items">
+        {summary.routes.slice(0, 8).map((route) => (
+          <div key={route.key} className="list-item">
+            <div className="item-content">
+              <span className="title">{`${route.from} → ${route.to}`}</span>
+              <span className="meta">
+                {route.count}× / {formatDuration(route.averageDuration)}
+                {route.mainStops.length > 2 && ` / via ${route.mainStops.slice(1, -1).join(', ')}`}
+              </span>
+            </div>
+          </div>
+        ))}
+      </div>
+    </div>
+  );
+}
+
+export default JourneyPanel;
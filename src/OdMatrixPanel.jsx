@@ -0,0 +1,187 @@
+import { useMemo, useRef, useState } from 'react';
+import { MATRIX_SORTS, buildOdMatrix, pairDetails } from './odMatrix.js';
+import { productColor, productLabel } from './products.js';
+
+const LIMITS = [10, 20, 40, Infinity];
+
+// Cells have a fixed pitch (size plus border spacing), so only the rows and
+// columns in view are rendered: with all stops the matrix can be hundreds of
+// stops across.
+const ROW_PITCH = 22;
+const COL_PITCH = 26;
+const HEADER_SIZE = 100;
+const OVERSCAN = 4;
+
+function visibleRange(offset, viewport, pitch, count) {
+  const first = Math.max(0, Math.floor((offset - HEADER_SIZE) / pitch) - OVERSCAN);
+  const last = Math.min(count, Math.ceil((offset + viewport) / pitch) + OVERSCAN);
+  return { first, last, before: first * pitch, after: (count - last) * pitch };
+}
+
+function OdMatrixPanel({ routes, mergeDirections, onMergeDirectionsChange, highlight, onHighlight }) {
+  const [limit, setLimit] = useState(10);
+  const [sort, setSort] = useState('total');
+  const matrix = useMemo(() => buildOdMatrix(routes, { limit, sort }), [routes, limit, sort]);
+  const details = highlight ? pairDetails(matrix.cells, highlight.from, highlight.to) : null;
+  const scrollRef = useRef(null);
+  const [view, setView] = useState({ top: 0, left: 0, height: 360, width: 320 });
+  const rows = visibleRange(view.top, view.height, ROW_PITCH, matrix.stops.length);
+  const cols = visibleRange(view.left, view.width, COL_PITCH, matrix.stops.length);
+  const shownRows = matrix.stops.slice(rows.first, rows.last);
+  const shownCols = matrix.stops.slice(cols.first, cols.last);
+
+  function changeLimit(value) {
+    scrollRef.current?.scrollTo(0, 0);
+    setView((current) => ({ ...current, top: 0, left: 0 }));
+    setLimit(value);
+  }
+
+  function handleScroll() {
+    const element = scrollRef.current;
+    setView({
+      top: element.scrollTop,
+      left: element.scrollLeft,
+      height: element.clientHeight,
+      width: element.clientWidth
+    });
+  }
+
+  function isHighlighted(from, to) {
+    if (!highlight) return false;
+    if (highlight.from === from && highlight.to === to) return true;
+    return mergeDirections && highlight.from === to && highlight.to === from;
+  }
+
+  return (
+    <div className="panel od-matrix collapsible">
+      <h2>Origin → destination</h2>
+      <div className="od-controls">
+        <select className="style-select" value={sort} onChange={(event) => setSort(event.target.value)}>
+          {Object.entries(MATRIX_SORTS).map(([key, option]) => (
+            <option key={key} value={key}>{option.label}</option>
+          ))}
+        </select>
+        <select
+          className="style-select"
+          value={limit}
+          onChange={(event) => changeLimit(Number(event.target.value))}
+        >
+          {LIMITS.map((value) => (
+            <option key={value} value={value}>
+              {value === Infinity ? 'All stops' : `Top ${value}`}
+            </option>
+          ))}
+        </select>
+      </div>
+      <div className="field toggles">
+        <label>
+          <input
+            type="checkbox"
+            checked={mergeDirections}
+            onChange={(event) => onMergeDirectionsChange(event.target.checked)}
+          />
+          Merge directions on map
+        </label>
+      </div>
+
+      <div className="od-scroll" ref={scrollRef} onScroll={handleScroll}>
+        <table className="od-table">
+          <thead>
+            <tr>
+              <th className="od-corner" />
+              {cols.before > 0 && <th style={{ minWidth: cols.before }} />}
+              {shownCols.map((col) => (
+                <th key={col.name} className="od-col" title={col.name}>
+                  <span>{col.name}</span>
+                </th>
+              ))}
+              {cols.after > 0 && <th style={{ minWidth: cols.after }} />}
+            </tr>
+          </thead>
+          <tbody>
+            {rows.before > 0 && <tr style={{ height: rows.before }} />}
+            {shownRows.map((row) => (
+              <tr key={row.name}>
+                <th className="od-row" title={`${row.name}: ${row.out} out / ${row.in} in`}>
+                  {row.name}
+                </th>
+                {cols.before > 0 && <td style={{ minWidth: cols.before }} />}
+                {shownCols.map((col) => {
+                  const count = matrix.cells.get(`${row.name} -> ${col.name}`)?.count || 0;
+                  const reverse = matrix.cells.get(`${col.name} -> ${row.name}`)?.count || 0;
+                  return (
+                    <td
+                      key={col.name}
+                      className={`od-cell ${isHighlighted(row.name, col.name) ? 'active' : ''}`}
+                      style={{ '--level': count / matrix.maxCell }}
+                      title={`${row.name} → ${col.name}: ${count} (back: ${reverse})`}
+                      onClick={() =>
+                        count &&
+                        onHighlight(
+                          isHighlighted(row.name, col.name) ? null : { from: row.name, to: col.name }
+                        )
+                      }
+                    >
+                      {count || ''}
+                    </td>
+                  );
+                })}
+                {cols.after > 0 && <td style={{ minWidth: cols.after }} />}
+              </tr>
+            ))}
+            {rows.after > 0 && <tr style={{ height: rows.after }} />}
+          </tbody>
+        </table>
+      </div>
+      <p className="meta">
+        Showing {matrix.stops.length} of {matrix.totalStops} stops. Rows are origins.
+      </p>
+
+      {details && (
+        <div className="od-details">
+          <div className="active-filter">
+            <span>{`${details.from} ⇄ ${details.to}`}</span>
+            <button className="link-button" onClick={() => onHighlight(null)}>
+              Clear
+            </button>
+          </div>
+          <div className="stats-grid">
+            <div className="stat">
+              <span>Outbound</span>
+              <strong>{details.forward}</strong>
+            </div>
+            <div className="stat">
+              <span>Return</span>
+              <strong>{details.backward}</strong>
+            </div>
+            <div className="stat">
+              <span>Asymmetry</span>
+              <strong>{`${Math.round(details.asymmetry * 100)}%`}</strong>
+            </div>
+          </div>
+          <div className="bars">
+            {details.products.map(([product, count]) => (
+              <div key={product} className="bar">
+                <div className="bar-info">
+                  <span>{productLabel(product)}</span>
+                  <strong>{count}</strong>
+                </div>
+                <div className="track">
+                  <div
+                    className="fill"
+                    style={{
+                      width: `${(count / (details.forward + details.backward)) * 100}%`,
+                      background: productColor(product)
+                    }}
+                  />
+                </div>
+              </div>
+            ))}
+          </div>
+        </div>
+      )}
+    </div>
+  );
+}
+
+export default OdMatrixPanel;
@@ -0,0 +1,183 @@
+import { useEffect, useRef, useState } from 'react';
+import { formatBytes } from './format.js';
+import {
+  AVERAGE_TILE_KB,
+  MAX_TILES,
+  cachedTileCount,
+  clearTiles,
+  countTiles,
+  downloadTiles,
+  offlineSupported,
+  storageUsage,
+  tileUrls
+} from './tileCache.js';
+
+const ZOOM_LEVELS = Array.from({ length: 18 }, (_, index) => index + 1);
+
+function useOnline() {
+  const [online, setOnline] = useState(navigator.onLine);
+  useEffect(() => {
+    const update = () => setOnline(navigator.onLine);
+    window.addEventListener('online', update);
+    window.addEventListener('offline', update);
+    return () => {
+      window.removeEventListener('online', update);
+      window.removeEventListener('offline', update);
+    };
+  }, []);
+  return online;
+}
+
+function OfflinePanel({ style, viewBounds, stopBounds, zoom }) {
+  const online = useOnline();
+  const [region, setRegion] = useState('view');
+  const [minZoom, setMinZoom] = useState(Math.max(1, Math.round(zoom)));
+  const [maxZoom, setMaxZoom] = useState(Math.min(16, Math.round(zoom) + 3));
+  const [progress, setProgress] = useState(null);
+  const [usage, setUsage] = useState({ tiles: 0, storage: null });
+  const [message, setMessage] = useState(null);
+  const abortRef = useRef(null);
+
+  const supported = offlineSupported();
+  const bounds = region === 'view' ? viewBounds : stopBounds;
+  const tileCount = bounds ? countTiles(bounds, minZoom, maxZoom) : 0;
+
+  async function refreshUsage() {
+    if (!supported) return;
+    const [tiles, storage] = await Promise.all([cachedTileCount(), storageUsage()]);
+    setUsage({ tiles, storage });
+  }
+
+  useEffect(() => {
+    refreshUsage();
+    return () => abortRef.current?.abort();
+  }, []);
+
+  async function download() {
+    const controller = new AbortController();
+    abortRef.current = controller;
+    setMessage(null);
+    setProgress({ done: 0, failed: 0, total: tileCount });
+    const result = await downloadTiles(tileUrls(style.url, bounds, minZoom, maxZoom, style.subdomains), {
+      onProgress: setProgress,
+      signal: controller.signal
+    });
+    abortRef.current = null;
+    setProgress(null);
+    if (controller.signal.aborted) setMessage('Download cancelled.');
+    else if (result.failed) setMessage(`${result.failed} of ${result.total} tiles failed.`);
+    else setMessage(`${result.total} tiles saved for offline use.`);
+    refreshUsage();
+  }
+
+  async function clear() {
+    await clearTiles();
+    setMessage('Offline tiles removed.');
+    refreshUsage();
+  }
+
+  if (!supported) {
+    return (
+      <div className="panel offline collapsible">
+        <h2>Offline</h2>
+        <p className="meta">This browser cannot store the map for offline use.</p>
+      </div>
+    );
+  }
+
+  return (
+    <div className="panel offline collapsible">
+      <h2>Offline</h2>
+      <p className="meta">
+        <span className={`online-dot ${online ? 'online' : ''}`} />
+        {online ? 'Online' : 'Offline - showing cached data and tiles'}
+      </p>
+
+      {style.prefetch === false ? (
+        <p className="meta">
+          {style.name} tiles can't be saved for offline use. Pick a raster map style to save tiles.
+        </p>
+      ) : (
+        <>
+          <div className="field">
+            <label>Area</label>
+            <select
+              className="style-select"
+              value={region}
+              onChange={(event) => setRegion(event.target.value)}
+            >
+              <option value="view">Current view</option>
+              <option value="stops">All stops</option>
+            </select>
+          </div>
+          <div className="field range">
+            <label>Zoom levels</label>
+            <div className="range-inputs">
+              <select
+                className="style-select"
+                value={minZoom}
+                onChange={(event) => setMinZoom(Number(event.target.value))}
+              >
+                {ZOOM_LEVELS.filter((level) => level <= maxZoom).map((level) => (
+                  <option key={level} value={level}>{level}</option>
+                ))}
+              </select>
+              <select
+                className="style-select"
+                value={maxZoom}
+                onChange={(event) => setMaxZoom(Number(event.target.value))}
+              >
+                {ZOOM_LEVELS.filter((level) => level >= minZoom).map((level) => (
+                  <option key={level} value={level}>{level}</option>
+                ))}
+              </select>
+            </div>
+          </div>
+          <p className="meta">
+            {tileCount} {style.name} tiles, about {formatBytes(tileCount * AVERAGE_TILE_KB * 1024)}
+            {tileCount > MAX_TILES && ` - more than ${MAX_TILES}, zoom in or lower the maximum zoom`}
+          </p>
+
+          {progress ? (
+            <>
+              <div className="track">
+                <div
+                  className="fill"
+                  style={{ width: `${(progress.done / progress.total) * 100}%` }}
+                />
+              </div>
+              <button className="link-button" onClick={() => abortRef.current?.abort()}>
+                Cancel ({progress.done}/{progress.total})
+              </button>
+            </>
+          ) : (
+            <button
+              className="product-chip active drawer-action"
+              disabled={!bounds || !online || !tileCount || tileCount > MAX_TILES}
+              onClick={download}
+            >
+              Save tiles for offline use
+            </button>
+          )}
+        </>
+      )}
+
+      {message && <p className="meta">{message}</p>}
+
+      <div className="data-sources">
+        <span className="meta">
+          {usage.tiles} tiles cached
+          {usage.storage &&
+            ` · ${formatBytes(usage.storage.usage)} of ${formatBytes(usage.storage.quota)} used`}
+        </span>
+        {usage.tiles > 0 && !progress && (
+          <button className="link-button" onClick={clear}>
+            Clear
+          </button>
+        )}
+      </div>
+    </div>
+  );
+}
+
+export default OfflinePanel;
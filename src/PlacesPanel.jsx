@@ -0,0 +1,112 @@
+import { useState } from 'react';
+import { formatCurrency } from './format.js';
+import { PLACE_KINDS } from './places.js';
+
+function PlaceRow({ place, totals, active, onFocus, onUpdate }) {
+  const [renaming, setRenaming] = useState(false);
+  const [label, setLabel] = useState(place.label);
+
+  function commitRename() {
+    setRenaming(false);
+    const next = label.trim();
+    if (next && next !== place.label) onUpdate(place.id, { label: next, confirmed: true });
+  }
+
+  return (
+    <div className={`list-item place-item ${active ? 'active' : ''}`}>
+      <div className="item-content">
+        {renaming ? (
+          <input
+            type="text"
+            className="place-rename"
+            value={label}
+            autoFocus
+            onChange={(event) => setLabel(event.target.value)}
+            onBlur={commitRename}
+            onKeyDown={(event) => {
+              if (event.key === 'Enter') commitRename();
+              if (event.key === 'Escape') setRenaming(false);
+            }}
+          />
+        ) : (
+          <span className="title">
+            {place.label}
+            <span className={`place-kind ${place.kind}`}>{PLACE_KINDS[place.kind]}</span>
+            {!place.confirmed && <span className="place-kind suggested">suggested</span>}
+          </span>
+        )}
+        <span className="meta">
+          {place.stops.length > 1 ? `${place.stops.length} stops` : place.stops[0]}
+          {totals && ` · ${totals.departures} out / ${totals.arrivals} in · ${formatCurrency(totals.spend)}`}
+        </span>
+        <span className="place-actions">
+          <button className="link-button" onClick={() => onFocus(active ? null : place)}>
+            {active ? 'Clear filter' : 'Filter'}
+          </button>
+          {!place.confirmed && (
+            <button className="link-button" onClick={() => onUpdate(place.id, { confirmed: true })}>
+              Confirm
+            </button>
+          )}
+          <button
+            className="link-button"
+            onClick={() => {
+              setLabel(place.label);
+              setRenaming(true);
+            }}
+          >
+            Rename
+          </button>
+          <button className="link-button" onClick={() => onUpdate(place.id, { dismissed: true })}>
+            Dismiss
+          </button>
+        </span>
+      </div>
+    </div>
+  );
+}
+
+function PlacesPanel({ places, stats, focus, onFocus, onUpdate, editCount, onResetEdits }) {
+  return (
+    <div className="panel places collapsible">
+      <h2>Places</h2>
+      {!places.length && <p className="meta">Not enough trips to recognise places yet.</p>}
+      <div className="list-items">
+        {places.map((place) => (
+          <PlaceRow
+            key={place.id}
+            place={place}
+            totals={stats.totals.get(place.id)}
+            active={focus?.type === 'place' && focus.id === place.id}
+            onFocus={onFocus}
+            onUpdate={onUpdate}
+          />
+        ))}
+      </div>
+
+      {stats.flows.length > 0 && (
+        <>
+          <h3>Between places</h3>
+          <div className="list-items">
+            {stats.flows.slice(0, 6).map((flow) => (
+              <div key={flow.key} className="list-item">
+                <div className="item-content">
+                  <span className="title">{`${flow.from} → ${flow.to}`}</span>
+                </div>
+                <strong className="amount">{flow.count}</strong>
+              </div>
+            ))}
+          </div>
+        </>
+      )}
+
+      {editCount > 0 && (
+        <button className="link-button" onClick={onResetEdits}>
+          Forget {editCount} place edits
+        </button>
+      )}
+    </div>
+  );
+}
+
+export default PlacesPanel;
@@ -0,0 +1,182 @@
+import { useEffect, useMemo, useRef, useState } from 'react';
+import { CircleMarker, Polyline, Tooltip } from 'react-leaflet';
+import L from 'leaflet';
+import { productColor } from './products.js';
+import {
+  PLAYBACK_SPEEDS,
+  activeSegments,
+  buildTimeline,
+  countUntil,
+  interpolate
+} from './playback.js';
+
+// Idle stretches longer than this are skipped so the replay keeps moving.
+const IDLE_GAP_MS = 60 * 60 * 1000;
+const IDLE_LEAD_MS = 5 * 60 * 1000;
+
+function formatClock(time) {
+  if (time == null) return '-';
+  return new Date(time).toLocaleString('nl-NL', {
+    weekday: 'short',
+    year: 'numeric',
+    month: 'short',
+    day: '2-digit',
+    hour: '2-digit',
+    minute: '2-digit'
+  });
+}
+
+function useStopMapEvents() {
+  const ref = useRef(null);
+  useEffect(() => {
+    if (!ref.current) return;
+    L.DomEvent.disableClickPropagation(ref.current);
+    L.DomEvent.disableScrollPropagation(ref.current);
+  }, []);
+  return ref;
+}
+
+function Playback({ trips, coords, geometry }) {
+  const timeline = useMemo(
+    () => buildTimeline(trips, coords, geometry),
+    [trips, coords, geometry]
+  );
+  const [time, setTime] = useState(timeline.min);
+  const [playing, setPlaying] = useState(false);
+  const [speedKey, setSpeedKey] = useState('day');
+  const [skipIdle, setSkipIdle] = useState(true);
+  const controlsRef = useStopMapEvents();
+
+  useEffect(() => {
+    setTime(timeline.min);
+    setPlaying(false);
+  }, [timeline]);
+
+  useEffect(() => {
+    if (!playing) return undefined;
+    const speed = PLAYBACK_SPEEDS.find((option) => option.key === speedKey);
+    let frame;
+    let last = performance.now();
+
+    function tick(now) {
+      const elapsed = now - last;
+      last = now;
+      setTime((current) => {
+        let next = current + (elapsed / 1000) * speed.msPerSecond;
+        if (skipIdle && !activeSegments(timeline, current).length) {
+          const upcoming = timeline.segments[countUntil(timeline.segments, 'start', current)];
+          if (upcoming && upcoming.start - current > IDLE_GAP_MS) {
+            next = Math.max(next, upcoming.start - IDLE_LEAD_MS);
+          }
+        }
+        return Math.min(next, timeline.max);
+      });
+      frame = requestAnimationFrame(tick);
+    }
+
+    frame = requestAnimationFrame(tick);
+    return () => cancelAnimationFrame(frame);
+  }, [playing, speedKey, skipIdle, timeline]);
+
+  useEffect(() => {
+    if (playing && time >= timeline.max) setPlaying(false);
+  }, [playing, time, timeline]);
+
+  const travelledCount = time == null ? 0 : countUntil(timeline.byEnd, 'end', time);
+
+  const travelled = useMemo(() => {
+    const routes = new Map();
+    timeline.byEnd.slice(0, travelledCount).forEach((segment) => {
+      const route = routes.get(segment.routeKey) || { ...segment, count: 0 };
+      route.count += 1;
+      routes.set(segment.routeKey, route);
+    });
+    return Array.from(routes.values());
+  }, [timeline, travelledCount]);
+
+  const active = time == null ? [] : activeSegments(timeline, time);
+  const maxCount = Math.max(1, ...travelled.map((route) => route.count));
+
+  if (timeline.min == null) return null;
+
+  return (
+    <>
+      {travelled.map((route) => (
+        <Polyline
+          key={route.routeKey}
+          positions={route.positions}
+          pathOptions={{
+            color: productColor(route.product, '#0f766e'),
+            weight: 1.5 + (route.count / maxCount) * 4,
+            opacity: 0.55
+          }}
+        />
+      ))}
+
+      {active.map((segment) => (
+        <CircleMarker
+          key={segment.id}
+          center={interpolate(segment, time)}
+          radius={7}
+          pathOptions={{
+            color: '#ffffff',
+            weight: 2,
+            fillColor: productColor(segment.product, '#e76f51'),
+            fillOpacity: 1
+          }}
+        >
+          <Tooltip direction="top" permanent>
+            {`${segment.from} → ${segment.to}`}
+          </Tooltip>
+        </CircleMarker>
+      ))}
+
+      <div className="playback-controls" ref={controlsRef}>
+        <button
+          className="playback-button"
+          onClick={() => {
+            if (!playing && time >= timeline.max) setTime(timeline.min);
+            setPlaying(!playing);
+          }}
+        >
+          {playing ? '❚❚' : '▶'}
+        </button>
+        <div className="playback-track">
+          <span className="playback-clock">{formatClock(time)}</span>
+          <input
+            type="range"
+            min={timeline.min}
+            max={timeline.max}
+            step={60 * 1000}
+            value={time ?? timeline.min}
+            onChange={(event) => setTime(Number(event.target.value))}
+          />
+          <span className="meta">
+            {travelledCount} of {timeline.segments.length} trips
+          </span>
+        </div>
+        <div className="playback-options">
+          <select
+            className="style-select"
+            value={speedKey}
+            onChange={(event) => setSpeedKey(event.target.value)}
+          >
+            {PLAYBACK_SPEEDS.map((option) => (
+              <option key={option.key} value={option.key}>{option.label}</option>
+            ))}
+          </select>
+          <label className="meta">
+            <input
+              type="checkbox"
+              checked={skipIdle}
+              onChange={(event) => setSkipIdle(event.target.checked)}
+            />
+            Skip idle time
+          </label>
+        </div>
+      </div>
+    </>
+  );
+}
+
+export default Playback;
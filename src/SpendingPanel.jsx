@@ -0,0 +1,90 @@
+import { formatCurrency, formatMonth } from './format.js';
+import { productColor, productLabel } from './products.js';
+
+function SpendingPanel({ spending }) {
+  if (!spending.pricedCount) {
+    return (
+      <div className="panel spending collapsible">
+        <h2>Spending</h2>
+        <p className="meta">This export has no fare amounts.</p>
+      </div>
+    );
+  }
+
+  const maxProduct = Math.max(...spending.products.map((product) => Math.abs(product.amount)), 1);
+  const maxMonth = Math.max(...spending.months.map((month) => Math.abs(month.amount)), 1);
+
+  return (
+    <div className="panel spending collapsible">
+      <h2>Spending</h2>
+      <div className="stats-grid">
+        <div className="stat">
+          <span>Total spent</span>
+          <strong>{formatCurrency(spending.total)}</strong>
+        </div>
+        <div className="stat">
+          <span>Refunds</span>
+          <strong>{formatCurrency(spending.refunded)}</strong>
+        </div>
+        <div className="stat">
+          <span>Avg per trip</span>
+          <strong>{formatCurrency(spending.charged / spending.pricedCount)}</strong>
+        </div>
+        <div className="stat">
+          <span>Avg per km</span>
+          <strong>{formatCurrency(spending.perKm)}</strong>
+        </div>
+      </div>
+
+      <h3>Per product</h3>
+      <div className="bars">
+        {spending.products.map((product) => (
+          <div key={product.key} className="bar">
+            <div className="bar-info">
+              <span>{productLabel(product.key)}</span>
+              <strong>{formatCurrency(product.amount)}</strong>
+            </div>
+            <div className="track">
+              <div
+                className="fill"
+                style={{
+                  width: `${(Math.abs(product.amount) / maxProduct) * 100}%`,
+                  background: productColor(product.key)
+                }}
+              />
+            </div>
+          </div>
+        ))}
+      </div>
+
+      <h3>Per month</h3>
+      <div className="month-bars">
+        {spending.months.map((month) => (
+          <div
+            key={month.key}
+            className={`month-bar ${month.amount < 0 ? 'negative' : ''}`}
+            title={`${formatMonth(month.key)}: ${formatCurrency(month.amount)}`}
+            style={{ height: `${Math.max(4, (Math.abs(month.amount) / maxMonth) * 100)}%` }}
+          />
+        ))}
+      </div>
+
+      <h3>Costliest routes</h3>
+      <div className="list-items">
+        {spending.routes.slice(0, 5).map((route) => (
+          <div key={route.key} className="list-item">
+            <div className="item-content">
+              <span className="title">{`${route.from} → ${route.to}`}</span>
+              <span className="meta">
+                {route.count} trips / {formatCurrency(route.amount / route.count)} avg
+              </span>
+            </div>
+            <strong className="amount">{formatCurrency(route.amount)}</strong>
+          </div>
+        ))}
+      </div>
+    </div>
+  );
+}
+
+export default SpendingPanel;
@@ -0,0 +1,43 @@
+import { useMemo } from 'react';
+import { Marker, Tooltip, useMapEvents } from 'react-leaflet';
+import L from 'leaflet';
+
+const EDIT_ICON = L.divIcon({
+  className: 'stop-edit-icon',
+  iconSize: [18, 18],
+  iconAnchor: [9, 9]
+});
+
+function StopEditor({ name, coord, onChange }) {
+  useMapEvents({
+    click(event) {
+      onChange(name, event.latlng);
+    }
+  });
+
+  const handlers = useMemo(
+    () => ({
+      dragend(event) {
+        onChange(name, event.target.getLatLng());
+      }
+    }),
+    [name, onChange]
+  );
+
+  if (!coord) return null;
+
+  return (
+    <Marker
+      position={[coord.lat, coord.lng]}
+      icon={EDIT_ICON}
+      draggable
+      eventHandlers={handlers}
+    >
+      <Tooltip direction="top" offset={[0, -10]} permanent>
+        {name}
+      </Tooltip>
+    </Marker>
+  );
+}
+
+export default StopEditor;
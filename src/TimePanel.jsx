@@ -0,0 +1,79 @@
+import { formatDuration, formatHour } from './format.js';
+import { WEEKDAYS } from './timeStats.js';
+
+function isActive(slot, day, hour) {
+  return slot && slot.day === day && slot.hour === hour;
+}
+
+function TimePanel({ stats, slot, onSlotChange }) {
+  const maxBucket = Math.max(...stats.durations.map((bucket) => bucket.count), 1);
+
+  return (
+    <div className="panel time collapsible">
+      <h2>When you travel</h2>
+      {slot && (
+        <div className="active-filter">
+          <span>
+            {WEEKDAYS[slot.day]} {formatHour(slot.hour)}–{formatHour((slot.hour + 1) % 24)}
+          </span>
+          <button className="link-button" onClick={() => onSlotChange(null)}>
+            Clear
+          </button>
+        </div>
+      )}
+      <div className="heatmap">
+        {stats.heatmap.map((hours, day) => (
+          <div key={WEEKDAYS[day]} className="heatmap-row">
+            <span className="heatmap-label">{WEEKDAYS[day]}</span>
+            {hours.map((count, hour) => (
+              <button
+                key={hour}
+                className={`heatmap-cell ${isActive(slot, day, hour) ? 'active' : ''}`}
+                title={`${WEEKDAYS[day]} ${formatHour(hour)}: ${count} trips`}
+                style={{ '--level': stats.maxCell ? count / stats.maxCell : 0 }}
+                onClick={() => onSlotChange(isActive(slot, day, hour) ? null : { day, hour })}
+              />
+            ))}
+          </div>
+        ))}
+        <div className="heatmap-row heatmap-axis">
+          <span className="heatmap-label" />
+          {[0, 6, 12, 18].map((hour) => (
+            <span key={hour} style={{ gridColumn: `${hour + 2} / span 6` }}>
+              {formatHour(hour)}
+            </span>
+          ))}
+        </div>
+      </div>
+
+      <h3>Journey duration</h3>
+      <div className="histogram">
+        {stats.durations.map((bucket) => (
+          <div key={bucket.label} className="histogram-bin" title={`${bucket.count} trips`}>
+            <div
+              className="histogram-bar"
+              style={{ height: `${(bucket.count / maxBucket) * 100}%` }}
+            />
+            <span>{bucket.label}</span>
+          </div>
+        ))}
+      </div>
+      <p className="meta">Average in-vehicle time {formatDuration(stats.averageDuration)}</p>
+
+      <h3>Time per route</h3>
+      <div className="list-items">
+        {stats.routeDurations.slice(0, 5).map((route) => (
+          <div key={route.key} className="list-item">
+            <div className="item-content">
+              <span className="title">{`${route.from} → ${route.to}`}</span>
+              <span className="meta">{route.count} timed trips</span>
+            </div>
+            <strong className="amount">{formatDuration(route.average)}</strong>
+          </div>
+        ))}
+      </div>
+    </div>
+  );
+}
+
+export default TimePanel;
@@ -0,0 +1,218 @@
+import { haversineKm } from './geo.js';
+
+const STORAGE_KEY = 'travel-lines:stop-aliases';
+const IGNORED_KEY = 'travel-lines:ignored-aliases';
+
+// Names only count as the same stop when they are this close together.
+const SUGGEST_KM = 1.2;
+const SUGGEST_SCORE = 0.75;
+// Grid cells for the proximity check; the longitude cell is wide enough for
+// SUGGEST_KM up to 60° north.
+const CELL_DEG = SUGGEST_KM / 111;
+const LNG_CELL_DEG = CELL_DEG * 2;
+const STOP_WORDS = new Set(['station', 'stat', 'halte', 'perron', 'bushalte']);
+
+export function loadAliases() {
+  try {
+    return JSON.parse(localStorage.getItem(STORAGE_KEY)) || {};
+  } catch {
+    return {};
+  }
+}
+
+export function saveAliases(aliases) {
+  localStorage.setItem(STORAGE_KEY, JSON.stringify(aliases));
+}
+
+export function loadIgnoredSuggestions() {
+  try {
+    return JSON.parse(localStorage.getItem(IGNORED_KEY)) || [];
+  } catch {
+    return [];
+  }
+}
+
+export function saveIgnoredSuggestions(keys) {
+  localStorage.setItem(IGNORED_KEY, JSON.stringify(keys));
+}
+
+// Follows alias chains (A -> B -> C) and stops at cycles.
+export function canonicalName(aliases, name) {
+  let current = name;
+  const seen = new Set([current]);
+  while (aliases[current] && !seen.has(aliases[current])) {
+    current = aliases[current];
+    seen.add(current);
+  }
+  return current;
+}
+
+export function applyAliases(trips, aliases) {
+  if (!Object.keys(aliases).length) return trips;
+  return trips.map((trip) => {
+    const from = canonicalName(aliases, trip.from);
+    const to = canonicalName(aliases, trip.to);
+    if (from === trip.from && to === trip.to) return trip;
+    return { ...trip, from, to, rawFrom: trip.from, rawTo: trip.to };
+  });
+}
+
+// A canonical stop without coordinates borrows those of one of its aliases.
+export function withAliasCoords(coords, aliases) {
+  const missing = Object.keys(aliases).filter((alias) => {
+    const canonical = canonicalName(aliases, alias);
+    return coords[alias] && !coords[canonical];
+  });
+  if (!missing.length) return coords;
+  const next = { ...coords };
+  missing.forEach((alias) => {
+    const canonical = canonicalName(aliases, alias);
+    if (!next[canonical]) next[canonical] = coords[alias];
+  });
+  return next;
+}
+
+// routeGeometry is keyed by the names as checked in; the snapped track of an
+// aliased pair is copied to its canonical pair so aliased routes keep it.
+export function withAliasGeometry(geometry, aliases) {
+  if (!Object.keys(aliases).length) return geometry;
+  const next = { ...geometry };
+  Object.entries(geometry).forEach(([key, route]) => {
+    const [from, to] = key.split(' -> ');
+    const canonicalKey = `${canonicalName(aliases, from)} -> ${canonicalName(aliases, to)}`;
+    if (!next[canonicalKey]) next[canonicalKey] = route;
+  });
+  return next;
+}
+
+function tokens(name) {
+  return name
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .replace(/[,/()-]/g, ' ')
+    .split(/\s+/)
+    .filter((token) => token && !STOP_WORDS.has(token.replace(/\.$/, '')));
+}
+
+// "c." and "con." match "constantijn"; whole words must be equal.
+function tokenMatch(a, b) {
+  if (a === b) return true;
+  const stemA = a.replace(/\.$/, '');
+  const stemB = b.replace(/\.$/, '');
+  if (a.endsWith('.') && stemB.startsWith(stemA)) return true;
+  return b.endsWith('.') && stemA.startsWith(stemB);
+}
+
+function overlap(a, b) {
+  const remaining = [...b];
+  let matched = 0;
+  a.forEach((token) => {
+    const index = remaining.findIndex((other) => tokenMatch(token, other));
+    if (index === -1) return;
+    remaining.splice(index, 1);
+    matched += 1;
+  });
+  return matched;
+}
+
+// City names in front ("Amsterdam Zuid", "Rotterdam, Blaak") are dropped when
+// the other name leaves them out, so "Station Zuid" still matches.
+function similarity(a, b, cities) {
+  let left = a;
+  let right = b;
+  if (cities.has(left[0]) && !right.includes(left[0])) left = left.slice(1);
+  if (cities.has(right[0]) && !left.includes(right[0])) right = right.slice(1);
+  if (!left.length || !right.length) return 0;
+  return overlap(left, right) / Math.max(left.length, right.length);
+}
+
+function cityWords(names, coords) {
+  const cities = new Set();
+  names.forEach((name) => {
+    if (coords[name]?.city) tokens(coords[name].city).forEach((token) => cities.add(token));
+    const comma = name.indexOf(',');
+    if (comma > 0) tokens(name.slice(0, comma)).forEach((token) => cities.add(token));
+  });
+  return cities;
+}
+
+// Pairs of stops that are probably the same place, named differently. The
+// located, busier name is proposed as the canonical one.
+export function suggestAliases(trips, coords, aliases, ignored = []) {
+  const counts = new Map();
+  trips.forEach((trip) => {
+    [trip.from, trip.to].forEach((name) => {
+      if (name) counts.set(name, (counts.get(name) || 0) + 1);
+    });
+  });
+  const names = Array.from(counts.keys()).filter((name) => !aliases[name]);
+  const cities = cityWords(names, coords);
+  const tokenized = new Map(names.map((name) => [name, tokens(name)]));
+  const skip = new Set(ignored);
+  const seen = new Set();
+  const suggestions = [];
+
+  function consider(a, b, distance) {
+    const key = suggestionKey(a, b);
+    if (a === b || seen.has(key) || skip.has(key)) return;
+    seen.add(key);
+    const score = similarity(tokenized.get(a), tokenized.get(b), cities);
+    // Without coordinates only names with the same core are trusted.
+    if (score < (distance == null ? 1 : SUGGEST_SCORE)) return;
+    const located = Boolean(coords[a]) - Boolean(coords[b]);
+    const keepA = located ? located > 0 : counts.get(a) >= counts.get(b);
+    const [canonical, alias] = keepA ? [a, b] : [b, a];
+    suggestions.push({ key, alias, canonical, score, distanceKm: distance });
+  }
+
+  // Located stops are only compared with stops in the neighbouring grid cells.
+  const cells = new Map();
+  const cellKey = (row, col) => `${row}:${col}`;
+  names.forEach((name) => {
+    const coord = coords[name];
+    if (!coord) return;
+    const key = cellKey(Math.floor(coord.lat / CELL_DEG), Math.floor(coord.lng / LNG_CELL_DEG));
+    if (!cells.has(key)) cells.set(key, []);
+    cells.get(key).push(name);
+  });
+  names.forEach((a) => {
+    const coord = coords[a];
+    if (!coord) return;
+    const row = Math.floor(coord.lat / CELL_DEG);
+    const col = Math.floor(coord.lng / LNG_CELL_DEG);
+    for (let r = row - 1; r <= row + 1; r += 1) {
+      for (let c = col - 1; c <= col + 1; c += 1) {
+        (cells.get(cellKey(r, c)) || []).forEach((b) => {
+          const distance = haversineKm(coord, coords[b]);
+          if (distance <= SUGGEST_KM) consider(a, b, distance);
+        });
+      }
+    }
+  });
+
+  // Stops without coordinates only pair up with names that share their core;
+  // abbreviations are cut to their first letter so "C." and "Con." agree.
+  const cores = new Map();
+  names.forEach((name) => {
+    const words = tokenized.get(name);
+    const core = (cities.has(words[0]) ? words.slice(1) : words)
+      .map((word) => (word.endsWith('.') ? `${word[0]}.` : word))
+      .join(' ');
+    if (!core) return;
+    if (!cores.has(core)) cores.set(core, []);
+    cores.get(core).push(name);
+  });
+  cores.forEach((group) => {
+    group.forEach((a) => {
+      if (coords[a]) return;
+      group.forEach((b) => consider(a, b, null));
+    });
+  });
+
+  return suggestions.sort((x, y) => y.score - x.score || (x.distanceKm ?? 0) - (y.distanceKm ?? 0));
+}
+
+export function suggestionKey(a, b) {
+  return [a, b].sort().join('|');
+}
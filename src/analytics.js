@@ -0,0 +1,86 @@
+import { routePositions } from './routeGeometry.js';
+
+export function buildAnalytics(trips, coords, routeGeometry) {
+  const routeMap = new Map();
+  const stopMap = new Map();
+  const productMap = new Map();
+  const missing = new Set();
+
+  function addStop(name, product, local) {
+    const stop = stopMap.get(name) || { count: 0, local: 0, products: new Map() };
+    stop.count += 1;
+    if (local) stop.local += 1;
+    stop.products.set(product, (stop.products.get(product) || 0) + 1);
+    stopMap.set(name, stop);
+  }
+
+  trips.forEach((trip) => {
+    productMap.set(trip.product, (productMap.get(trip.product) || 0) + 1);
+
+    if (trip.transactie !== 'Reis') return;
+    if (!trip.from || !trip.to) return;
+
+    const fromCoord = coords[trip.from];
+    const toCoord = coords[trip.to];
+
+    if (!fromCoord) missing.add(trip.from);
+    if (!toCoord) missing.add(trip.to);
+
+    if (!fromCoord || !toCoord) return;
+
+    // A trip that starts and ends at one stop (or, at city level, inside one
+    // city) has no route to draw; it only counts towards the stop.
+    if (trip.from === trip.to) {
+      addStop(trip.from, trip.product, true);
+      return;
+    }
+
+    const routeKey = `${trip.from} -> ${trip.to}`;
+    const route = routeMap.get(routeKey) || {
+      from: trip.from,
+      to: trip.to,
+      fromCoord,
+      toCoord,
+      positions: routePositions(routeGeometry, trip.from, trip.to, fromCoord, toCoord),
+      distanceKm: trip.distanceKm,
+      count: 0,
+      products: new Map(),
+      travellers: new Map(),
+      modes: new Map(),
+      dates: []
+    };
+    route.count += 1;
+    route.products.set(trip.product, (route.products.get(trip.product) || 0) + 1);
+    if (trip.mode) route.modes.set(trip.mode, (route.modes.get(trip.mode) || 0) + 1);
+    if (trip.traveller) {
+      route.travellers.set(trip.traveller, (route.travellers.get(trip.traveller) || 0) + 1);
+    }
+    route.dates.push(trip.date);
+    routeMap.set(routeKey, route);
+
+    addStop(trip.from, trip.product, false);
+    addStop(trip.to, trip.product, false);
+  });
+
+  const routes = Array.from(routeMap.values()).sort((a, b) => b.count - a.count);
+  const stops = Array.from(stopMap.entries())
+    .map(([name, stop]) => ({
+      name,
+      count: stop.count,
+      local: stop.local,
+      products: stop.products,
+      coord: coords[name]
+    }))
+    .sort((a, b) => b.count - a.count);
+
+  const products = Array.from(productMap.entries())
+    .map(([name, count]) => ({ name, count }))
+    .sort((a, b) => b.count - a.count);
+
+  return {
+    routes,
+    stops,
+    products,
+    missing: Array.from(missing).sort((a, b) => a.localeCompare(b))
+  };
+}
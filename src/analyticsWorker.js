@@ -0,0 +1,24 @@
+import { createDeriver } from './derive.js';
+
+// The dataset is loaded once per 'dataset' message and kept here; 'corrections'
+// only carries the stops that moved and every 'view' message only the filters.
+const deriver = createDeriver();
+let loaded = false;
+
+self.onmessage = (event) => {
+  const { type, id } = event.data;
+  if (type === 'dataset') {
+    loaded = true;
+    self.postMessage({ type, id, dataset: deriver.load(event.data.source) });
+    return;
+  }
+  if (!loaded) return;
+  if (type === 'corrections') {
+    self.postMessage({ type: 'dataset', id, dataset: deriver.correct(event.data.changes) });
+    return;
+  }
+  if (type === 'view') {
+    const { request, key } = event.data;
+    self.postMessage({ type, id, key, view: deriver.view(request) });
+  }
+};
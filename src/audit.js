@@ -0,0 +1,133 @@
+import Papa from 'papaparse';
+import { cleanTrips } from './exporters.js';
+import { formatDuration } from './format.js';
+
+// Longer than a Maastricht - Groningen run with a missed connection.
+const LONG_JOURNEY_MINUTES = 240;
+// Trips this slow for this long usually mean a forgotten check-out.
+const SLOW_KMH = 5;
+const SLOW_MINUTES = 90;
+const DUPLICATE_MINUTES = 2;
+const SERVICE_PATTERN = /klanten ?service|correctie|restitutie|terugbetaling/i;
+
+export const AUDIT_TYPES = {
+  missingCheckout: {
+    label: 'Missing check-out',
+    hint: 'Charged the maximum fare unless corrected.'
+  },
+  duplicate: {
+    label: 'Duplicate check-in',
+    hint: 'Checked in twice at the same stop within minutes.'
+  },
+  long: {
+    label: 'Unrealistic journey',
+    hint: 'Too long or too slow to be a real trip.'
+  },
+  remark: {
+    label: 'Remarks',
+    hint: 'Rows the operator annotated.'
+  },
+  service: {
+    label: 'Service corrections',
+    hint: 'Refunds and corrections by customer service.'
+  }
+};
+
+function isService(trip) {
+  return SERVICE_PATTERN.test(trip.product || '') || SERVICE_PATTERN.test(trip.transactie || '');
+}
+
+function duplicateEntries(journeys) {
+  const entries = [];
+  const byStop = new Map();
+  journeys
+    .filter((trip) => trip.start && trip.from)
+    .forEach((trip) => {
+      const key = `${trip.traveller}|${trip.from}`;
+      byStop.set(key, [...(byStop.get(key) || []), trip]);
+    });
+  byStop.forEach((list) => {
+    list.sort((a, b) => a.start - b.start);
+    list.slice(1).forEach((trip, index) => {
+      const previous = list[index];
+      const minutes = (trip.start - previous.start) / 60000;
+      if (minutes > DUPLICATE_MINUTES) return;
+      entries.push({
+        type: 'duplicate',
+        trip,
+        reason: `Checked in at ${trip.from} ${trip.checkIn}, ${Math.round(minutes)} min after ${previous.checkIn}`
+      });
+    });
+  });
+  return entries;
+}
+
+export function auditTrips(trips) {
+  const entries = [];
+  const journeys = trips.filter((trip) => trip.transactie === 'Reis');
+
+  journeys.forEach((trip) => {
+    if (!trip.checkOut || !trip.to) {
+      entries.push({
+        type: 'missingCheckout',
+        trip,
+        reason: `Checked in at ${trip.from || 'unknown stop'} ${trip.checkIn || ''}, no check-out`
+      });
+      return;
+    }
+    const minutes = trip.durationMin;
+    if (minutes == null) return;
+    const speed = trip.distanceKm && minutes ? trip.distanceKm / (minutes / 60) : null;
+    if (minutes > LONG_JOURNEY_MINUTES) {
+      entries.push({
+        type: 'long',
+        trip,
+        reason: `${formatDuration(minutes)} between check-in and check-out`
+      });
+    } else if (minutes > SLOW_MINUTES && speed != null && speed < SLOW_KMH) {
+      entries.push({
+        type: 'long',
+        trip,
+        reason: `${formatDuration(minutes)} for ${trip.distanceKm.toFixed(1)} km`
+      });
+    }
+  });
+
+  entries.push(...duplicateEntries(journeys));
+
+  trips.forEach((trip) => {
+    if (trip.note) entries.push({ type: 'remark', trip, reason: trip.note });
+    if (isService(trip)) {
+      entries.push({
+        type: 'service',
+        trip,
+        reason: [trip.transactie, trip.product].filter(Boolean).join(' - ')
+      });
+    }
+  });
+
+  const groups = Object.keys(AUDIT_TYPES).map((type) => ({
+    type,
+    entries: entries
+      .filter((entry) => entry.type === type)
+      .sort((a, b) => (b.trip.start || b.trip.date) - (a.trip.start || a.trip.date))
+  }));
+
+  const flags = new Map();
+  entries.forEach((entry) => {
+    flags.set(entry.trip.id, [...(flags.get(entry.trip.id) || []), entry.type]);
+  });
+
+  return { groups, flags, total: entries.length };
+}
+
+export function auditToCsv(groups) {
+  const rows = groups.flatMap((group) =>
+    group.entries.map((entry) => ({
+      issue: AUDIT_TYPES[entry.type].label,
+      reason: entry.reason,
+      ...cleanTrips([entry.trip])[0]
+    }))
+  );
+  return Papa.unparse(rows);
+}
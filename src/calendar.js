@@ -0,0 +1,134 @@
+import { monthKey, toInputDate } from './format.js';
+import { weekdayIndex } from './trips.js';
+
+// A busy day has more legs than the mean plus this many standard deviations.
+const BUSY_DEVIATIONS = 2;
+
+function startOfDay(date) {
+  return new Date(date.getFullYear(), date.getMonth(), date.getDate());
+}
+
+function addDays(date, days) {
+  return new Date(date.getFullYear(), date.getMonth(), date.getDate() + days);
+}
+
+export function weekRange(date) {
+  const start = addDays(startOfDay(date), -weekdayIndex(date));
+  return { start, end: addDays(start, 6) };
+}
+
+export function monthRange(date) {
+  return {
+    start: new Date(date.getFullYear(), date.getMonth(), 1),
+    end: new Date(date.getFullYear(), date.getMonth() + 1, 0)
+  };
+}
+
+function collectDays(trips) {
+  const days = new Map();
+  const seenStops = new Set();
+  const sorted = trips
+    .filter((trip) => trip.transactie === 'Reis')
+    .sort((a, b) => (a.start || a.date) - (b.start || b.date));
+
+  // Stops on the very first travel day are all "new", which says nothing.
+  const firstKey = sorted.length ? toInputDate(sorted[0].date) : null;
+  sorted.forEach((trip) => {
+    const key = toInputDate(trip.date);
+    const day = days.get(key) || { key, date: startOfDay(trip.date), legs: [], firstVisits: [] };
+    day.legs.push(trip);
+    [trip.from, trip.to].forEach((stop) => {
+      if (!stop || seenStops.has(stop)) return;
+      seenStops.add(stop);
+      if (key !== firstKey) day.firstVisits.push(stop);
+    });
+    days.set(key, day);
+  });
+  return days;
+}
+
+function streaks(days, range) {
+  let longest = { length: 0, start: null, end: null };
+  let run = null;
+  for (let date = startOfDay(range.min); date <= range.max; date = addDays(date, 1)) {
+    if (days.has(toInputDate(date))) {
+      run = run ? { ...run, length: run.length + 1, end: date } : { length: 1, start: date, end: date };
+      if (run.length > longest.length) longest = run;
+    } else {
+      run = null;
+    }
+  }
+  return { longest, current: run };
+}
+
+export function buildCalendar(trips, range) {
+  if (!range.min || !range.max) {
+    return { weeks: [], months: [], maxCount: 0, longest: null, current: null, unusual: [] };
+  }
+  const days = collectDays(trips);
+
+  const counts = Array.from(days.values()).map((day) => day.legs.length);
+  const mean = counts.reduce((sum, count) => sum + count, 0) / (counts.length || 1);
+  const deviation = Math.sqrt(
+    counts.reduce((sum, count) => sum + (count - mean) ** 2, 0) / (counts.length || 1)
+  );
+  const busyThreshold = mean + BUSY_DEVIATIONS * deviation;
+
+  days.forEach((day) => {
+    day.busy = counts.length > 5 && day.legs.length > busyThreshold;
+    day.unusual = day.busy || day.firstVisits.length > 0;
+  });
+
+  const weeks = [];
+  const last = startOfDay(range.max);
+  for (let start = weekRange(range.min).start; start <= last; start = addDays(start, 7)) {
+    weeks.push({
+      start,
+      days: Array.from({ length: 7 }, (_, offset) => {
+        const date = addDays(start, offset);
+        const key = toInputDate(date);
+        const day = days.get(key);
+        return {
+          key,
+          date,
+          count: day?.legs.length || 0,
+          legs: day?.legs || [],
+          firstVisits: day?.firstVisits || [],
+          busy: Boolean(day?.busy),
+          unusual: Boolean(day?.unusual),
+          inRange: date >= startOfDay(range.min) && date <= last
+        };
+      })
+    });
+  }
+
+  const monthMap = new Map();
+  days.forEach((day) => {
+    const key = monthKey(day.date);
+    monthMap.set(key, (monthMap.get(key) || 0) + 1);
+  });
+  const months = [];
+  weeks.forEach((week, column) => {
+    const first = week.days.find((day) => day.inRange && day.date.getDate() <= 7);
+    if (!first && column > 0) return;
+    const date = first?.date || week.days.find((day) => day.inRange).date;
+    const key = monthKey(date);
+    if (months.some((month) => month.key === key)) return;
+    months.push({ key, date, column, travelDays: monthMap.get(key) || 0 });
+  });
+
+  const { longest, current } = streaks(days, range);
+  const unusual = Array.from(days.values())
+    .filter((day) => day.unusual)
+    .sort((a, b) => b.date - a.date);
+
+  return {
+    weeks,
+    months,
+    maxCount: Math.max(0, ...counts),
+    travelDays: days.size,
+    longest: longest.length ? longest : null,
+    current,
+    unusual
+  };
+}
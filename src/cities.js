@@ -0,0 +1,85 @@
+import { haversineKm } from './geo.js';
+
+// A stop without a city of its own takes the one of a located stop this close.
+const NEAREST_CITY_KM = 3;
+
+function cityFromName(name) {
+  const comma = name.indexOf(',');
+  return comma > 0 ? name.slice(0, comma).trim() : null;
+}
+
+// The geocoder stores the city it matched; otherwise the name may carry one
+// ("Purmerend, Tramplein", "Rotterdam Blaak") or a nearby stop gives it away.
+export function buildCityIndex(trips, coords) {
+  const counts = new Map();
+  trips.forEach((trip) => {
+    if (trip.transactie !== 'Reis') return;
+    [trip.from, trip.to].forEach((name) => {
+      if (name) counts.set(name, (counts.get(name) || 0) + 1);
+    });
+  });
+  const names = Array.from(counts.keys());
+  const cityOf = new Map();
+  names.forEach((name) => {
+    const city = coords[name]?.city || cityFromName(name);
+    if (city) cityOf.set(name, city);
+  });
+
+  const known = new Map(
+    Array.from(new Set(cityOf.values())).map((city) => [city.toLowerCase(), city])
+  );
+  names.forEach((name) => {
+    if (cityOf.has(name)) return;
+    const lower = name.toLowerCase();
+    const prefix = Array.from(known.keys()).find((city) => lower.startsWith(`${city} `));
+    if (prefix) cityOf.set(name, known.get(prefix));
+  });
+
+  const located = names.filter((name) => cityOf.has(name) && coords[name]);
+  names.forEach((name) => {
+    if (cityOf.has(name) || !coords[name]) return;
+    let best = null;
+    located.forEach((other) => {
+      const distance = haversineKm(coords[name], coords[other]);
+      if (distance <= NEAREST_CITY_KM && (!best || distance < best.distance)) {
+        best = { city: cityOf.get(other), distance };
+      }
+    });
+    cityOf.set(name, best ? best.city : name);
+  });
+
+  // Cities sit at the trip-weighted centre of their stops.
+  const sums = new Map();
+  cityOf.forEach((city, name) => {
+    const coord = coords[name];
+    if (!coord) return;
+    const weight = counts.get(name);
+    const sum = sums.get(city) || { lat: 0, lng: 0, weight: 0, stops: 0 };
+    sum.lat += coord.lat * weight;
+    sum.lng += coord.lng * weight;
+    sum.weight += weight;
+    sum.stops += 1;
+    sums.set(city, sum);
+  });
+  const cityCoords = {};
+  sums.forEach((sum, city) => {
+    cityCoords[city] = { lat: sum.lat / sum.weight, lng: sum.lng / sum.weight, stops: sum.stops };
+  });
+
+  return { cityOf, coords: cityCoords };
+}
+
+// Stops without a known city stay as they are; the stop names are kept so
+// search still finds them.
+export function toCityTrips(trips, index) {
+  return trips.map((trip) => {
+    if (!trip.from && !trip.to) return trip;
+    return {
+      ...trip,
+      from: index.cityOf.get(trip.from) || trip.from,
+      to: index.cityOf.get(trip.to) || trip.to,
+      stopFrom: trip.from,
+      stopTo: trip.to
+    };
+  });
+}
@@ -0,0 +1,45 @@
+// Grid-based clustering in screen space: stops that land in the same
+// CELL_PIXELS square at the current zoom are drawn as one marker.
+export const CLUSTER_MAX_ZOOM = 13;
+const CELL_PIXELS = 56;
+const TILE_SIZE = 256;
+
+function project(coord, zoom) {
+  const scale = TILE_SIZE * 2 ** zoom;
+  const sin = Math.sin((coord.lat * Math.PI) / 180);
+  return {
+    x: ((coord.lng + 180) / 360) * scale,
+    y: (0.5 - Math.log((1 + sin) / (1 - sin)) / (4 * Math.PI)) * scale
+  };
+}
+
+export function clusterStops(stops, zoom) {
+  const located = stops.filter((stop) => stop.coord);
+  if (zoom > CLUSTER_MAX_ZOOM) {
+    return located.map((stop) => ({ key: stop.name, stops: [stop], count: stop.count, coord: stop.coord }));
+  }
+
+  const cells = new Map();
+  located.forEach((stop) => {
+    const point = project(stop.coord, Math.round(zoom));
+    const key = `${Math.floor(point.x / CELL_PIXELS)}:${Math.floor(point.y / CELL_PIXELS)}`;
+    const cell = cells.get(key) || [];
+    cell.push(stop);
+    cells.set(key, cell);
+  });
+
+  return Array.from(cells.entries()).map(([key, members]) => {
+    const count = members.reduce((sum, stop) => sum + stop.count, 0);
+    // Weighted by check-ins so the marker sits near the busiest stop.
+    const coord = {
+      lat: members.reduce((sum, stop) => sum + stop.coord.lat * stop.count, 0) / count,
+      lng: members.reduce((sum, stop) => sum + stop.coord.lng * stop.count, 0) / count
+    };
+    return {
+      key: members.length === 1 ? members[0].name : `cluster-${key}`,
+      stops: members.sort((a, b) => b.count - a.count),
+      count,
+      coord
+    };
+  });
+}
@@ -0,0 +1,106 @@
+import { buildAnalytics } from './analytics.js';
+
+export const COMPARE_PRESETS = {
+  custom: 'Custom ranges',
+  mom: 'Month over month',
+  yoy: 'Year over year'
+};
+
+export const CHANGE_STYLES = {
+  new: { label: 'New', color: '#16a34a' },
+  gone: { label: 'Gone', color: '#9ca3af', dashArray: '4 6' },
+  up: { label: 'More trips', color: '#0f766e' },
+  down: { label: 'Fewer trips', color: '#e76f51' },
+  same: { label: 'Unchanged', color: '#64748b' }
+};
+
+function shiftYear(date, years) {
+  const next = new Date(date);
+  next.setFullYear(next.getFullYear() + years);
+  return next;
+}
+
+// Period B is the month / range the anchor falls in, period A the one before.
+export function presetRanges(preset, anchorStart, anchorEnd) {
+  if (preset === 'mom') {
+    const b = {
+      start: new Date(anchorEnd.getFullYear(), anchorEnd.getMonth(), 1),
+      end: new Date(anchorEnd.getFullYear(), anchorEnd.getMonth() + 1, 0)
+    };
+    const a = {
+      start: new Date(anchorEnd.getFullYear(), anchorEnd.getMonth() - 1, 1),
+      end: new Date(anchorEnd.getFullYear(), anchorEnd.getMonth(), 0)
+    };
+    return { a, b };
+  }
+  const b = { start: anchorStart, end: anchorEnd };
+  return { a: { start: shiftYear(anchorStart, -1), end: shiftYear(anchorEnd, -1) }, b };
+}
+
+function spend(trips) {
+  return trips.reduce((sum, trip) => sum + (trip.amount || 0), 0);
+}
+
+function distance(trips) {
+  return trips.reduce((sum, trip) => sum + (trip.distanceKm || 0), 0);
+}
+
+function summarize(trips, coords, geometry) {
+  const analytics = buildAnalytics(trips, coords, geometry);
+  return {
+    analytics,
+    trips: trips.filter((trip) => trip.transactie === 'Reis').length,
+    stops: analytics.stops.length,
+    routes: analytics.routes.length,
+    spend: spend(trips),
+    distanceKm: distance(trips)
+  };
+}
+
+function routeChanges(routesA, routesB) {
+  const changes = new Map();
+  routesA.forEach((route) => {
+    changes.set(`${route.from} -> ${route.to}`, { route, a: route.count, b: 0 });
+  });
+  routesB.forEach((route) => {
+    const key = `${route.from} -> ${route.to}`;
+    const existing = changes.get(key);
+    changes.set(key, { route, a: existing?.a || 0, b: route.count });
+  });
+  return Array.from(changes.values())
+    .map((change) => {
+      let status = 'same';
+      if (!change.a) status = 'new';
+      else if (!change.b) status = 'gone';
+      else if (change.b > change.a) status = 'up';
+      else if (change.b < change.a) status = 'down';
+      return { ...change, status };
+    })
+    .sort((x, y) => Math.max(y.a, y.b) - Math.max(x.a, x.b));
+}
+
+export function comparePeriods(tripsA, tripsB, coords, geometry) {
+  const a = summarize(tripsA, coords, geometry);
+  const b = summarize(tripsB, coords, geometry);
+  const products = new Map();
+  a.analytics.products.forEach(({ name, count }) => products.set(name, { name, a: count, b: 0 }));
+  b.analytics.products.forEach(({ name, count }) => {
+    products.set(name, { name, a: products.get(name)?.a || 0, b: count });
+  });
+  return {
+    metrics: [
+      { key: 'trips', label: 'Trips', a: a.trips, b: b.trips },
+      { key: 'stops', label: 'Stops', a: a.stops, b: b.stops },
+      { key: 'routes', label: 'Routes', a: a.routes, b: b.routes },
+      { key: 'distanceKm', label: 'Distance', a: a.distanceKm, b: b.distanceKm },
+      { key: 'spend', label: 'Spend', a: a.spend, b: b.spend }
+    ],
+    products: Array.from(products.values()).sort((x, y) => y.a + y.b - (x.a + x.b)),
+    routes: routeChanges(a.analytics.routes, b.analytics.routes)
+  };
+}
+
+export function percentChange(a, b) {
+  if (!a) return b ? null : 0;
+  return ((b - a) / Math.abs(a)) * 100;
+}
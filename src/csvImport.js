@@ -0,0 +1,47 @@
+import Papa from 'papaparse';
+
+const PARSE_OPTIONS = {
+  header: true,
+  skipEmptyLines: true,
+  transformHeader: (header) => header.trim()
+};
+
+export function parseCsvText(text) {
+  const parsed = Papa.parse(text, PARSE_OPTIONS);
+  return parsed.data || [];
+}
+
+export function parseCsvFile(file) {
+  return new Promise((resolve, reject) => {
+    Papa.parse(file, {
+      ...PARSE_OPTIONS,
+      complete: (result) => resolve(result.data || []),
+      error: (err) => reject(new Error(`Failed to parse ${file.name}: ${err.message}`))
+    });
+  });
+}
+
+// Overlapping exports repeat the same transaction rows verbatim, so a row is
+// identified by all of its (trimmed) column values.
+function rowKey(row) {
+  return Object.keys(row)
+    .sort()
+    .map((key) => `${key}=${`${row[key] ?? ''}`.trim()}`)
+    .join('|');
+}
+
+export function mergeRows(...sets) {
+  const seen = new Set();
+  const merged = [];
+  sets.flat().forEach((row) => {
+    const key = rowKey(row);
+    if (seen.has(key)) return;
+    seen.add(key);
+    merged.push(row);
+  });
+  return merged;
+}
+
+export function isCsvFile(file) {
+  return file.name.toLowerCase().endsWith('.csv') || file.type === 'text/csv';
+}
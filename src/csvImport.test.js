@@ -0,0 +1,37 @@
+import assert from 'node:assert/strict';
+import { test } from 'node:test';
+import { mergeRows, parseCsvText } from './csvImport.js';
+import { TRAVELLER_COLUMN, importTraveller, tagRows } from './travellers.js';
+
+const HEADER = 'Datum,Check in,Vertrek,Check uit,Bestemming,Bedrag,Transactie,Kl,Product';
+const SEPTEMBER = '21-09-2024,08:02,Utrecht Centraal,08:31,Amsterdam Centraal,"€ 9,20",Reis,2,Treinreizen';
+const OCTOBER = '02-10-2024,17:40,Amsterdam Centraal,18:08,Utrecht Centraal,"€ 9,20",Reis,2,Treinreizen';
+const NOVEMBER = '05-11-2024,08:15,Leidseplein,08:29,Centraal Station,"€ 1,43",Reis,2,"Bus, Tram en Metro reizen"';
+
+function importFiles(baseRows, files, traveller = '') {
+  const name = importTraveller(traveller, Object.keys(files), baseRows);
+  const parsed = Object.values(files).map((lines) => parseCsvText([HEADER, ...lines].join('\n')));
+  return mergeRows(baseRows, ...parsed.map((rows) => tagRows(rows, name)));
+}
+
+test('merges overlapping exports imported together without a traveller name', () => {
+  const rows = importFiles([], {
+    '2024-09-01_2024-10-31.csv': [SEPTEMBER, OCTOBER],
+    '2024-10-01_2024-11-30.csv': [OCTOBER, NOVEMBER]
+  });
+  assert.equal(rows.length, 3);
+  assert.equal(new Set(rows.map((row) => row[TRAVELLER_COLUMN])).size, 1);
+});
+
+test('merges a later overlapping export into the only traveller loaded', () => {
+  const first = importFiles([], { 'anna.csv': [SEPTEMBER, OCTOBER] });
+  const rows = importFiles(first, { 'export.csv': [OCTOBER, NOVEMBER] });
+  assert.equal(rows.length, 3);
+  assert.deepEqual(Array.from(new Set(rows.map((row) => row[TRAVELLER_COLUMN]))), ['anna']);
+});
+
+test('keeps the same leg for two named travellers', () => {
+  const anna = importFiles([], { 'anna.csv': [OCTOBER] }, 'Anna');
+  const rows = importFiles(anna, { 'bram.csv': [OCTOBER] }, 'Bram');
+  assert.equal(rows.length, 2);
+});
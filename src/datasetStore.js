@@ -0,0 +1,52 @@
+const DB_NAME = 'travel-lines';
+const DB_VERSION = 1;
+const STORE_NAME = 'datasets';
+const CURRENT_KEY = 'current';
+
+function openDb() {
+  return new Promise((resolve, reject) => {
+    if (typeof indexedDB === 'undefined') {
+      reject(new Error('IndexedDB is not available.'));
+      return;
+    }
+    const request = indexedDB.open(DB_NAME, DB_VERSION);
+    request.onupgradeneeded = () => {
+      const db = request.result;
+      if (!db.objectStoreNames.contains(STORE_NAME)) {
+        db.createObjectStore(STORE_NAME);
+      }
+    };
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+}
+
+async function withStore(mode, action) {
+  const db = await openDb();
+  try {
+    return await new Promise((resolve, reject) => {
+      const tx = db.transaction(STORE_NAME, mode);
+      const request = action(tx.objectStore(STORE_NAME));
+      tx.oncomplete = () => resolve(request.result);
+      tx.onerror = () => reject(tx.error);
+      tx.onabort = () => reject(tx.error);
+    });
+  } finally {
+    db.close();
+  }
+}
+
+export async function loadDataset() {
+  const dataset = await withStore('readonly', (store) => store.get(CURRENT_KEY));
+  return dataset || null;
+}
+
+export function saveDataset(dataset) {
+  return withStore('readwrite', (store) =>
+    store.put({ ...dataset, savedAt: new Date().toISOString() }, CURRENT_KEY)
+  );
+}
+
+export function clearDataset() {
+  return withStore('readwrite', (store) => store.delete(CURRENT_KEY));
+}
@@ -0,0 +1,217 @@
+import {
+  applyAliases,
+  suggestAliases,
+  withAliasCoords,
+  withAliasGeometry
+} from './aliases.js';
+import { buildAnalytics } from './analytics.js';
+import { auditTrips } from './audit.js';
+import { buildCalendar } from './calendar.js';
+import { buildCityIndex, toCityTrips } from './cities.js';
+import { comparePeriods } from './comparison.js';
+import { computeDistanceStats, withDistances } from './distanceStats.js';
+import { filterTrips } from './filters.js';
+import { buildFlows } from './flowMap.js';
+import { buildJourneys, summarizeJourneys } from './journeys.js';
+import { MODES, withModes } from './modes.js';
+import { mergeDirections } from './odMatrix.js';
+import { applyPlaceEdits, detectPlaces, placeStats, resolveFocus } from './places.js';
+import { computeSpending } from './spending.js';
+import { applyCorrections, reviewStops } from './stopCorrections.js';
+import { computeTimeStats, matchesSlot } from './timeStats.js';
+import { listTravellers } from './travellers.js';
+import { normalizeRows } from './trips.js';
+
+// Everything derived from the dataset, in two steps: prepareDataset runs when
+// the rows, coordinates, aliases, transit config or stop level change, deriveView on every
+// filter change. Both run in the analytics worker (see createDeriver), or
+// inline without one.
+
+function dataRangeOf(trips) {
+  if (!trips.length) return { min: null, max: null };
+  const dates = trips.map((trip) => trip.date);
+  return { min: new Date(Math.min(...dates)), max: new Date(Math.max(...dates)) };
+}
+
+// caches carries the normalized rows and the per-pair distance and mode
+// caches from one call to the next, so a moved stop only recomputes its pairs.
+function prepareDataset(source, caches) {
+  const { geometry, aliases, ignoredAliases, modeOverrides, transitModes, corrections } = source;
+  const coords = applyCorrections(source.coords, corrections);
+  // Distances use the names as checked in, which is what the geometry is keyed by.
+  const rawTrips = withDistances(caches.normalized, coords, geometry, caches.distances);
+  const stopCoords = withAliasCoords(coords, aliases);
+  const stopTrips = withModes(
+    applyAliases(rawTrips, aliases),
+    stopCoords,
+    modeOverrides,
+    transitModes,
+    caches.modes
+  );
+  const cityIndex = source.stopLevel === 'city' ? buildCityIndex(stopTrips, stopCoords) : null;
+  const trips = cityIndex ? toCityTrips(stopTrips, cityIndex) : stopTrips;
+  const modes = new Set(trips.map((trip) => trip.mode).filter(Boolean));
+  return {
+    trips,
+    coords: cityIndex ? cityIndex.coords : stopCoords,
+    geometry: withAliasGeometry(geometry, aliases),
+    dataRange: dataRangeOf(trips),
+    travellers: listTravellers(trips),
+    modes: MODES.filter((mode) => modes.has(mode)),
+    products: Array.from(new Set(trips.map((trip) => trip.product).filter(Boolean))).sort(
+      (a, b) => a.localeCompare(b)
+    ),
+    stopIssues: reviewStops(stopTrips, stopCoords, corrections),
+    aliasSuggestions: suggestAliases(rawTrips, coords, aliases, ignoredAliases)
+  };
+}
+
+function forgetStops(cache, names, stopsOf) {
+  Array.from(cache.keys()).forEach((key) => {
+    if (stopsOf(key).some((name) => names.has(name))) cache.delete(key);
+  });
+}
+
+function setsAsArrays(key, value) {
+  return value instanceof Set ? Array.from(value) : value;
+}
+
+// Recomputes a part only when its inputs changed since the last view, so
+// toggling the flow bundling doesn't rebuild the calendar. The cache belongs
+// to one prepared dataset.
+function cached(cache, name, inputs, compute) {
+  const key = JSON.stringify(inputs, setsAsArrays);
+  const hit = cache.get(name);
+  if (hit && hit.key === key) return hit.value;
+  const value = compute();
+  cache.set(name, { key, value });
+  return value;
+}
+
+// request carries the filters only: { filters, focus, timeSlot, placeEdits,
+// journeySettings, compare: { a, b } | null, flow: { merge, threshold, bundled } | null,
+// scoped }.
+function deriveView(dataset, request, cache) {
+  const { trips, coords, geometry, dataRange } = dataset;
+  const { filters, timeSlot, placeEdits, journeySettings, compare, flow } = request;
+  const { hiddenTravellers, dateStart, dateEnd } = filters;
+
+  // Places follow the traveller toggles; showing one traveller gives their own home.
+  const places = cached(cache, 'places', [hiddenTravellers, placeEdits], () =>
+    applyPlaceEdits(detectPlaces(filterTrips(trips, { hiddenTravellers }), coords), placeEdits)
+  );
+  const focus = resolveFocus(request.focus, places);
+
+  // Everything but the date range; the calendar and the comparison add their own.
+  const base = { ...filters, dateStart: null, dateEnd: null, focus };
+  const periodInputs = [filters, focus];
+  const periodTrips = cached(cache, 'periodTrips', periodInputs, () =>
+    filterTrips(trips, { ...base, dateStart, dateEnd })
+  );
+  const filteredInputs = [filters, focus, timeSlot];
+  const filteredTrips = cached(cache, 'filteredTrips', filteredInputs, () =>
+    timeSlot ? periodTrips.filter((trip) => matchesSlot(trip, timeSlot)) : periodTrips
+  );
+  const analytics = cached(cache, 'analytics', filteredInputs, () =>
+    buildAnalytics(filteredTrips, coords, geometry)
+  );
+
+  // Flow mode swaps the track geometry for arcs between the stops.
+  const flows = flow
+    ? cached(cache, 'flows', [filteredInputs, flow], () => {
+      const routes = flow.merge ? mergeDirections(analytics.routes) : analytics.routes;
+      const visible = routes.filter((route) => route.count >= flow.threshold);
+      return buildFlows(visible, { bundled: flow.bundled });
+    })
+    : null;
+
+  return {
+    filteredTrips,
+    // Only the detail drawer needs these, so they are left out while it's closed.
+    scopedTrips: request.scoped ? filterTrips(trips, { ...filters, search: '' }) : null,
+    places,
+    analytics,
+    flows,
+    // The heatmap is drawn from periodTrips so the other cells stay visible
+    // while a weekday/hour slot narrows down what the map shows.
+    timeStats: cached(cache, 'timeStats', periodInputs, () => computeTimeStats(periodTrips)),
+    // The calendar always spans the whole dataRange, so it ignores the date filter.
+    calendar: cached(cache, 'calendar', [base], () =>
+      buildCalendar(filterTrips(trips, base), dataRange)
+    ),
+    spending: cached(cache, 'spending', filteredInputs, () => computeSpending(filteredTrips)),
+    distanceStats: cached(cache, 'distanceStats', filteredInputs, () =>
+      computeDistanceStats(filteredTrips)
+    ),
+    placeSummary: cached(cache, 'placeSummary', [filteredInputs, places], () =>
+      placeStats(filteredTrips, places)
+    ),
+    journeySummary: cached(cache, 'journeys', [filteredInputs, journeySettings], () =>
+      summarizeJourneys(buildJourneys(filteredTrips, coords, journeySettings))
+    ),
+    // Audited rows ignore the product and non-trip filters: service corrections
+    // are exactly the rows those hide.
+    audit: cached(cache, 'audit', [hiddenTravellers, dateStart, dateEnd], () =>
+      auditTrips(filterTrips(trips, { hiddenTravellers, dateStart, dateEnd }))
+    ),
+    // Both periods share every filter but the date range and the time slot.
+    comparison: compare
+      ? cached(cache, 'comparison', [base, compare], () =>
+        comparePeriods(
+          filterTrips(trips, { ...base, dateStart: compare.a.start, dateEnd: compare.a.end }),
+          filterTrips(trips, { ...base, dateStart: compare.b.start, dateEnd: compare.b.end }),
+          coords,
+          geometry
+        )
+      )
+      : null
+  };
+}
+
+// Holds one dataset between messages. load takes the whole source; correct
+// takes only the stops whose coordinates changed ({ name: entry | null }), so
+// dragging a stop doesn't resend the rows. Both return what the main thread
+// needs of the dataset: everything but the trips and the geometry.
+export function createDeriver() {
+  let source = null;
+  let caches = null;
+  let dataset = null;
+  let viewCache = new Map();
+
+  function prepare() {
+    dataset = prepareDataset(source, caches);
+    viewCache = new Map();
+    const { trips, geometry, ...shared } = dataset;
+    return shared;
+  }
+
+  return {
+    load(next) {
+      source = next;
+      caches = { normalized: normalizeRows(next.rows), distances: new Map(), modes: new Map() };
+      return prepare();
+    },
+    correct(changes) {
+      const corrections = { ...source.corrections };
+      Object.entries(changes).forEach(([name, entry]) => {
+        if (entry) corrections[name] = entry;
+        else delete corrections[name];
+      });
+      source = { ...source, corrections };
+      // An alias borrows its canonical stop's coordinates and the other way round.
+      const moved = new Set(Object.keys(changes));
+      Object.entries(source.aliases).forEach(([alias, canonical]) => {
+        if (moved.has(alias) || moved.has(canonical)) {
+          moved.add(alias);
+          moved.add(canonical);
+        }
+      });
+      forgetStops(caches.distances, moved, (key) => key.split(' -> '));
+      forgetStops(caches.modes, moved, (key) => key.split('|').slice(1, 5));
+      return prepare();
+    },
+    view(request) {
+      return deriveView(dataset, request, viewCache);
+    }
+  };
+}
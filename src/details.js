@@ -0,0 +1,70 @@
+import { monthKey } from './format.js';
+
+export function matchesFocus(trip, focus) {
+  if (focus.type === 'stop') return trip.from === focus.name || trip.to === focus.name;
+  if (focus.type === 'place') {
+    const stops = focus.stops || [];
+    return stops.includes(trip.from) || stops.includes(trip.to);
+  }
+  if (trip.from === focus.from && trip.to === focus.to) return true;
+  return Boolean(focus.undirected) && trip.from === focus.to && trip.to === focus.from;
+}
+
+export function focusLabel(focus) {
+  if (focus.type === 'stop') return focus.name;
+  if (focus.type === 'place') return focus.label || focus.id;
+  return `${focus.from} ${focus.undirected ? '⇄' : '→'} ${focus.to}`;
+}
+
+function median(values) {
+  if (!values.length) return null;
+  const sorted = [...values].sort((a, b) => a - b);
+  const middle = Math.floor(sorted.length / 2);
+  return sorted.length % 2 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2;
+}
+
+function monthRange(min, max) {
+  const keys = [];
+  const cursor = new Date(min.getFullYear(), min.getMonth(), 1);
+  while (cursor <= max) {
+    keys.push(monthKey(cursor));
+    cursor.setMonth(cursor.getMonth() + 1);
+  }
+  return keys;
+}
+
+export function buildDetails(trips, selection, dataRange) {
+  const matching = trips
+    .filter((trip) => trip.transactie === 'Reis' && matchesFocus(trip, selection))
+    .sort((a, b) => (b.start || b.date) - (a.start || a.date));
+
+  const products = new Map();
+  const modes = new Map();
+  const connected = new Map();
+  const perMonth = new Map();
+  matching.forEach((trip) => {
+    products.set(trip.product, (products.get(trip.product) || 0) + 1);
+    if (trip.mode) modes.set(trip.mode, (modes.get(trip.mode) || 0) + 1);
+    perMonth.set(monthKey(trip.date), (perMonth.get(monthKey(trip.date)) || 0) + 1);
+    if (selection.type === 'stop') {
+      const other = trip.from === selection.name ? trip.to : trip.from;
+      if (other) connected.set(other, (connected.get(other) || 0) + 1);
+    }
+  });
+
+  const months = dataRange.min && dataRange.max ? monthRange(dataRange.min, dataRange.max) : [];
+
+  return {
+    trips: matching,
+    count: matching.length,
+    first: matching[matching.length - 1] || null,
+    last: matching[0] || null,
+    typicalDuration: median(
+      matching.map((trip) => trip.durationMin).filter((minutes) => minutes != null && minutes >= 0)
+    ),
+    products: Array.from(products.entries()).sort((a, b) => b[1] - a[1]),
+    modes: Array.from(modes.entries()).sort((a, b) => b[1] - a[1]),
+    connected: Array.from(connected.entries()).sort((a, b) => b[1] - a[1]),
+    timeline: months.map((key) => ({ key, count: perMonth.get(key) || 0 }))
+  };
+}
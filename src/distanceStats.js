@@ -0,0 +1,59 @@
+import { carEmissionsKg, productMode, tripEmissionsKg } from './emissions.js';
+import { monthKey } from './format.js';
+import { routeDistanceKm } from './routeGeometry.js';
+
+// cache (keyed `from -> to`) may be kept across calls; entries for a stop
+// that moved have to be dropped first.
+export function withDistances(trips, coords, geometry, cache = new Map()) {
+  return trips.map((trip) => {
+    const fromCoord = coords[trip.from];
+    const toCoord = coords[trip.to];
+    if (trip.transactie !== 'Reis' || !fromCoord || !toCoord) {
+      return { ...trip, distanceKm: null };
+    }
+    const key = `${trip.from} -> ${trip.to}`;
+    if (!cache.has(key)) {
+      cache.set(key, routeDistanceKm(geometry, trip.from, trip.to, fromCoord, toCoord));
+    }
+    return { ...trip, distanceKm: cache.get(key) };
+  });
+}
+
+function addTo(map, key, distanceKm, co2Kg) {
+  const entry = map.get(key) || { key, distanceKm: 0, co2Kg: 0, count: 0 };
+  entry.distanceKm += distanceKm;
+  entry.co2Kg += co2Kg;
+  entry.count += 1;
+  map.set(key, entry);
+}
+
+export function computeDistanceStats(trips) {
+  const productMap = new Map();
+  const monthMap = new Map();
+  const modeMap = new Map();
+  let totalKm = 0;
+  let co2Kg = 0;
+  let carCo2Kg = 0;
+
+  trips.forEach((trip) => {
+    if (!trip.distanceKm) return;
+    const mode = trip.mode || productMode(trip.product);
+    const emissions = tripEmissionsKg(trip.distanceKm, mode);
+    totalKm += trip.distanceKm;
+    co2Kg += emissions;
+    carCo2Kg += carEmissionsKg(trip.distanceKm);
+    addTo(productMap, trip.product || 'Unknown', trip.distanceKm, emissions);
+    addTo(monthMap, monthKey(trip.date), trip.distanceKm, emissions);
+    addTo(modeMap, mode, trip.distanceKm, emissions);
+  });
+
+  return {
+    totalKm,
+    co2Kg,
+    carCo2Kg,
+    savedKg: carCo2Kg - co2Kg,
+    products: Array.from(productMap.values()).sort((a, b) => b.distanceKm - a.distanceKm),
+    months: Array.from(monthMap.values()).sort((a, b) => a.key.localeCompare(b.key)),
+    modes: Array.from(modeMap.values()).sort((a, b) => b.distanceKm - a.distanceKm)
+  };
+}
@@ -0,0 +1,41 @@
+// Approximate grams of CO2 per passenger-km in the Netherlands (well-to-wheel).
+// "btm" is a blend for "Bus, Tram en Metro" legs whose exact mode is unknown.
+export const EMISSION_FACTORS = {
+  train: 6,
+  metro: 30,
+  tram: 35,
+  bus: 75,
+  btm: 50,
+  ferry: 120,
+  car: 170
+};
+
+export const MODE_LABELS = {
+  train: 'Train',
+  metro: 'Metro',
+  tram: 'Tram',
+  bus: 'Bus',
+  btm: 'Bus/Tram/Metro',
+  ferry: 'Ferry',
+  car: 'Car'
+};
+
+const PRODUCT_MODES = {
+  'Reizen op Rekening Trein': 'train',
+  'Treinreizen': 'train',
+  'Intercity Direct Toeslag': 'train',
+  'Bus, Tram en Metro reizen': 'btm'
+};
+
+export function productMode(product) {
+  return PRODUCT_MODES[product] || 'btm';
+}
+
+export function tripEmissionsKg(distanceKm, mode) {
+  const factor = EMISSION_FACTORS[mode] ?? EMISSION_FACTORS.btm;
+  return (distanceKm * factor) / 1000;
+}
+
+export function carEmissionsKg(distanceKm) {
+  return (distanceKm * EMISSION_FACTORS.car) / 1000;
+}
@@ -0,0 +1,212 @@
+import Papa from 'papaparse';
+import { formatDistance } from './format.js';
+import { productColor, productLabel } from './products.js';
+
+function dominantProduct(products) {
+  return Array.from(products.entries()).sort((a, b) => b[1] - a[1])[0]?.[0] || null;
+}
+
+export function toGeoJson(routes, stops) {
+  const routeFeatures = routes.map((route) => ({
+    type: 'Feature',
+    geometry: {
+      type: 'LineString',
+      coordinates: route.positions.map(([lat, lng]) => [lng, lat])
+    },
+    properties: {
+      kind: 'route',
+      from: route.from,
+      to: route.to,
+      count: route.count,
+      distanceKm: route.distanceKm == null ? null : Number(route.distanceKm.toFixed(2)),
+      dominantProduct: dominantProduct(route.products),
+      products: Object.fromEntries(route.products)
+    }
+  }));
+
+  const stopFeatures = stops
+    .filter((stop) => stop.coord)
+    .map((stop) => ({
+      type: 'Feature',
+      geometry: { type: 'Point', coordinates: [stop.coord.lng, stop.coord.lat] },
+      properties: {
+        kind: 'stop',
+        name: stop.name,
+        count: stop.count,
+        products: Object.fromEntries(stop.products || [])
+      }
+    }));
+
+  return { type: 'FeatureCollection', features: [...routeFeatures, ...stopFeatures] };
+}
+
+function pad(value) {
+  return `${value}`.padStart(2, '0');
+}
+
+function isoDate(date) {
+  return date ? `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}` : '';
+}
+
+export function cleanTrips(trips) {
+  return trips.map((trip) => ({
+    date: isoDate(trip.date),
+    checkIn: trip.start ? trip.start.toISOString() : '',
+    checkOut: trip.end ? trip.end.toISOString() : '',
+    from: trip.from,
+    to: trip.to,
+    transaction: trip.transactie || '',
+    product: trip.product || '',
+    class: trip.class || '',
+    amount: trip.amount ?? '',
+    distanceKm: trip.distanceKm == null ? '' : Number(trip.distanceKm.toFixed(2)),
+    durationMin: trip.durationMin ?? '',
+    note: trip.note,
+    traveller: trip.traveller
+  }));
+}
+
+export function tripsToCsv(trips) {
+  return Papa.unparse(cleanTrips(trips));
+}
+
+function project(lat, lng) {
+  const sin = Math.sin((lat * Math.PI) / 180);
+  return [(lng + 180) / 360, 0.5 - Math.log((1 + sin) / (1 - sin)) / (4 * Math.PI)];
+}
+
+function escapeXml(text) {
+  return `${text}`
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+export const POSTER_SIZE = { width: 1600, height: 1200, mapHeight: 960 };
+
+// The footer fits two legend columns of six products; the rest is summed up.
+const LEGEND_ROWS = 6;
+const LEGEND_COLUMNS = 2;
+const LEGEND_COLUMN_WIDTH = 210;
+
+// A standalone SVG of the routes and stops inside `bounds`, with the sidebar
+// summary underneath. Basemap tiles are left out so it prints cleanly.
+export function buildPosterSvg({ routes, stops, bounds, title, subtitle, summary, products }) {
+  const { width, height, mapHeight } = POSTER_SIZE;
+  const margin = 40;
+  const [[south, west], [north, east]] = bounds;
+  const [x0, y0] = project(north, west);
+  const [x1, y1] = project(south, east);
+  const scale = Math.min((width - margin * 2) / (x1 - x0 || 1), (mapHeight - margin * 2) / (y1 - y0 || 1));
+  const offsetX = (width - (x1 - x0) * scale) / 2;
+  const offsetY = (mapHeight - (y1 - y0) * scale) / 2;
+
+  function point(lat, lng) {
+    const [x, y] = project(lat, lng);
+    return [((x - x0) * scale + offsetX).toFixed(1), ((y - y0) * scale + offsetY).toFixed(1)];
+  }
+
+  const maxRoute = Math.max(1, ...routes.map((route) => route.count));
+  const maxStop = Math.max(1, ...stops.map((stop) => stop.count));
+
+  const routePaths = routes
+    .map((route) => {
+      const d = route.positions
+        .map(([lat, lng], index) => `${index ? 'L' : 'M'}${point(lat, lng).join(',')}`)
+        .join('');
+      const color = productColor(dominantProduct(route.products), '#0f766e');
+      const weight = (1.5 + (route.count / maxRoute) * 6).toFixed(1);
+      return `<path d="${d}" stroke="${color}" stroke-width="${weight}" stroke-opacity="0.7" fill="none" stroke-linecap="round"/>`;
+    })
+    .join('');
+
+  const stopCircles = stops
+    .filter((stop) => stop.coord)
+    .map((stop) => {
+      const [cx, cy] = point(stop.coord.lat, stop.coord.lng);
+      const radius = (3 + (stop.count / maxStop) * 9).toFixed(1);
+      return `<circle cx="${cx}" cy="${cy}" r="${radius}" fill="#e76f51" fill-opacity="0.7" stroke="#0f766e"/>`;
+    })
+    .join('');
+
+  const summaryText = summary
+    .map(
+      ([label, value], index) =>
+        `<text x="${margin + index * 240}" y="${mapHeight + 140}" class="label">${escapeXml(label)}</text>` +
+        `<text x="${margin + index * 240}" y="${mapHeight + 180}" class="value">${escapeXml(value)}</text>`
+    )
+    .join('');
+
+  const legendSlots = LEGEND_ROWS * LEGEND_COLUMNS;
+  const shownProducts =
+    products.length > legendSlots ? products.slice(0, legendSlots - 1) : products;
+  const hiddenCount = products.length - shownProducts.length;
+  const legendX = (index) => width - 420 + Math.floor(index / LEGEND_ROWS) * LEGEND_COLUMN_WIDTH;
+  const legendY = (index) => mapHeight + 64 + (index % LEGEND_ROWS) * 26;
+  const legend =
+    shownProducts
+      .map(
+        (product, index) =>
+          `<circle cx="${legendX(index)}" cy="${legendY(index)}" r="7" fill="${productColor(product.name)}"/>` +
+          `<text x="${legendX(index) + 18}" y="${legendY(index) + 6}" class="legend">${escapeXml(
+            `${productLabel(product.name)} (${product.count})`
+          )}</text>`
+      )
+      .join('') +
+    (hiddenCount
+      ? `<text x="${legendX(legendSlots - 1) + 18}" y="${legendY(legendSlots - 1) + 6}" class="legend">` +
+        `+${hiddenCount} more</text>`
+      : '');
+
+  return `<?xml version="1.0" encoding="UTF-8"?>
+<svg xmlns="http://www.w3.org/2000/svg" width="${width}" height="${height}" viewBox="0 0 ${width} ${height}">
+<style>
+text { font-family: 'Space Grotesk', system-ui, sans-serif; fill: #1f2a28; }
+.title { font-family: 'Fraunces', serif; font-size: 40px; font-weight: 700; }
+.label { font-size: 16px; fill: #5e6b66; text-transform: uppercase; letter-spacing: 0.05em; }
+.value { font-size: 30px; font-weight: 600; }
+.legend { font-size: 18px; }
+</style>
+<rect width="${width}" height="${height}" fill="#f7f2e9"/>
+<defs><clipPath id="map-area"><rect width="${width}" height="${mapHeight}"/></clipPath></defs>
+<rect width="${width}" height="${mapHeight}" fill="#f0ece4"/>
+<g clip-path="url(#map-area)">
+<g>${routePaths}</g>
+<g>${stopCircles}</g>
+</g>
+<text x="${margin}" y="${mapHeight + 64}" class="title">${escapeXml(title)}</text>
+<text x="${margin}" y="${mapHeight + 94}" class="legend">${escapeXml(subtitle)}</text>
+${summaryText}
+${legend}
+</svg>`;
+}
+
+export function svgToPng(svg) {
+  return new Promise((resolve, reject) => {
+    const image = new Image();
+    const url = URL.createObjectURL(new Blob([svg], { type: 'image/svg+xml;charset=utf-8' }));
+    image.onload = () => {
+      const canvas = document.createElement('canvas');
+      canvas.width = POSTER_SIZE.width;
+      canvas.height = POSTER_SIZE.height;
+      canvas.getContext('2d').drawImage(image, 0, 0);
+      URL.revokeObjectURL(url);
+      canvas.toBlob((blob) => (blob ? resolve(blob) : reject(new Error('Failed to render PNG.'))), 'image/png');
+    };
+    image.onerror = () => {
+      URL.revokeObjectURL(url);
+      reject(new Error('Failed to render PNG.'));
+    };
+    image.src = url;
+  });
+}
+
+export function posterSummary({ tripCount, stopCount, routeCount, distanceKm }) {
+  return [
+    ['Trips', `${tripCount}`],
+    ['Stops', `${stopCount}`],
+    ['Routes', `${routeCount}`],
+    ['Distance', formatDistance(distanceKm)]
+  ];
+}
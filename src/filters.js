@@ -0,0 +1,26 @@
+import { matchesFocus } from './details.js';
+
+// Applies whichever of the sidebar filters are given; omitted ones pass.
+export function filterTrips(trips, filters) {
+  const { includeNonTrips = true, selectedProducts, hiddenTravellers, hiddenModes } = filters;
+  const { dateStart, dateEnd, focus } = filters;
+  const query = (filters.search || '').trim().toLowerCase();
+  return trips.filter((trip) => {
+    if (!includeNonTrips && trip.transactie !== 'Reis') return false;
+    if (selectedProducts && !selectedProducts.has(trip.product)) return false;
+    if (hiddenTravellers?.has(trip.traveller)) return false;
+    if (trip.mode && hiddenModes?.has(trip.mode)) return false;
+    if (dateStart && trip.date < dateStart) return false;
+    if (dateEnd && trip.date > dateEnd) return false;
+    if (focus && !matchesFocus(trip, focus)) return false;
+    if (query) {
+      // Aliased and city-level trips still match the names they were checked in at.
+      const match = [trip.from, trip.to, trip.stopFrom, trip.stopTo, trip.rawFrom, trip.rawTo]
+        .filter(Boolean)
+        .join(' ')
+        .toLowerCase();
+      if (!match.includes(query)) return false;
+    }
+    return true;
+  });
+}
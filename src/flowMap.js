@@ -0,0 +1,196 @@
+// Flow-map geometry: routes become curved arcs that bend to the right of
+// their direction, so A -> B and B -> A never overlap, and arcs heading the
+// same way are pulled together (a simplified force-directed edge bundling).
+export const WIDTH_SCALES = {
+  linear: 'Linear',
+  log: 'Logarithmic',
+  quantile: 'Quantile'
+};
+
+const MIN_WIDTH = 1.5;
+const MAX_WIDTH = 6.5;
+const QUANTILE_CLASSES = 5;
+
+// Arc bend as a share of the route length, and points per arc.
+const ARC_BEND = 0.16;
+const SEGMENTS = 16;
+
+const BUNDLE_ITERATIONS = 40;
+const BUNDLE_STEP = 0.12;
+const SPRING = 0.5;
+const MIN_COMPATIBILITY = 0.55;
+
+const TILE_SIZE = 256;
+const ARROW_AT = 0.82;
+
+function tripsLabel(count) {
+  return `${count} ${count === 1 ? 'trip' : 'trips'}`;
+}
+
+function rangeLabel(from, to) {
+  return from === to ? tripsLabel(to) : `${from}-${to} trips`;
+}
+
+// width(count) plus the legend rows that explain it. Linear is the weight the
+// route lines have always had.
+export function widthScale(counts, type) {
+  const max = counts.length ? Math.max(...counts) : 1;
+  const range = MAX_WIDTH - MIN_WIDTH;
+
+  if (type === 'quantile') {
+    const sorted = [...counts].sort((a, b) => a - b);
+    const breaks = Array.from(
+      new Set(
+        Array.from({ length: QUANTILE_CLASSES - 1 }, (_, i) =>
+          sorted[Math.floor(((i + 1) / QUANTILE_CLASSES) * (sorted.length - 1))]
+        )
+      )
+    ).filter((value) => value < max);
+    const step = breaks.length ? range / breaks.length : range;
+    const width = (count) =>
+      breaks.length ? MIN_WIDTH + breaks.filter((value) => count > value).length * step : MAX_WIDTH;
+    const bounds = [0, ...breaks, max];
+    const legend = bounds.slice(1).map((upper, i) => ({
+      label: rangeLabel(bounds[i] + 1, upper),
+      width: width(upper)
+    }));
+    return { width, legend };
+  }
+
+  const share =
+    type === 'log'
+      ? (count) => (max > 1 ? Math.log(count) / Math.log(max) : 1)
+      : (count) => count / max;
+  const width = (count) => MIN_WIDTH + share(count) * range;
+  const middle = type === 'log' ? Math.round(Math.sqrt(max)) : Math.round(max / 2);
+  const samples = Array.from(new Set([1, middle, max])).filter((count) => count >= 1);
+  return {
+    width,
+    legend: samples.map((count) => ({ label: tripsLabel(count), width: width(count) }))
+  };
+}
+
+// Equirectangular projection around the data, good enough at country scale
+// and cheap to invert.
+function projection(routes) {
+  const lats = routes.flatMap((route) => [route.fromCoord.lat, route.toCoord.lat]);
+  const mean = lats.length ? lats.reduce((sum, lat) => sum + lat, 0) / lats.length : 52;
+  const k = Math.cos((mean * Math.PI) / 180);
+  return {
+    k,
+    project: (coord) => [coord.lng * k, coord.lat],
+    unproject: ([x, y]) => [y, x / k]
+  };
+}
+
+function arc(a, b) {
+  const dx = b[0] - a[0];
+  const dy = b[1] - a[1];
+  // Offsetting the midpoint by (dy, -dx) bends the arc to the right.
+  const control = [(a[0] + b[0]) / 2 + dy * ARC_BEND, (a[1] + b[1]) / 2 - dx * ARC_BEND];
+  return Array.from({ length: SEGMENTS + 1 }, (_, i) => {
+    const t = i / SEGMENTS;
+    const u = 1 - t;
+    return [
+      u * u * a[0] + 2 * u * t * control[0] + t * t * b[0],
+      u * u * a[1] + 2 * u * t * control[1] + t * t * b[1]
+    ];
+  });
+}
+
+// Angle, scale and position compatibility from Holten & van Wijk's FDEB.
+// The angle term keeps its sign so opposite directions never bundle.
+function compatibility(p, q) {
+  const [pa, pb] = [p[0], p[p.length - 1]];
+  const [qa, qb] = [q[0], q[q.length - 1]];
+  const pv = [pb[0] - pa[0], pb[1] - pa[1]];
+  const qv = [qb[0] - qa[0], qb[1] - qa[1]];
+  const pl = Math.hypot(...pv);
+  const ql = Math.hypot(...qv);
+  if (!pl || !ql) return 0;
+  const angle = (pv[0] * qv[0] + pv[1] * qv[1]) / (pl * ql);
+  if (angle <= 0) return 0;
+  const average = (pl + ql) / 2;
+  const scale = 2 / (average / Math.min(pl, ql) + Math.max(pl, ql) / average);
+  const midDistance = Math.hypot(
+    (pa[0] + pb[0] - qa[0] - qb[0]) / 2,
+    (pa[1] + pb[1] - qa[1] - qb[1]) / 2
+  );
+  const position = average / (average + midDistance);
+  return angle * scale * position;
+}
+
+function bundle(paths, weights) {
+  const pairs = paths.map(() => []);
+  paths.forEach((p, i) => {
+    for (let j = i + 1; j < paths.length; j += 1) {
+      const c = compatibility(p, paths[j]);
+      if (c < MIN_COMPATIBILITY) continue;
+      pairs[i].push([j, c]);
+      pairs[j].push([i, c]);
+    }
+  });
+
+  let current = paths.map((path) => path.map((point) => [...point]));
+  for (let iteration = 0; iteration < BUNDLE_ITERATIONS; iteration += 1) {
+    const step = BUNDLE_STEP * (1 - iteration / BUNDLE_ITERATIONS);
+    current = current.map((path, i) => {
+      if (!pairs[i].length) return path;
+      return path.map((point, k) => {
+        if (k === 0 || k === path.length - 1) return point;
+        // Heavier flows pull harder, so thin routes join the main corridors.
+        let pullX = 0;
+        let pullY = 0;
+        let total = 0;
+        pairs[i].forEach(([j, c]) => {
+          const other = current[j][k];
+          const weight = c * weights[j];
+          pullX += (other[0] - point[0]) * weight;
+          pullY += (other[1] - point[1]) * weight;
+          total += weight;
+        });
+        const springX = (path[k - 1][0] + path[k + 1][0]) / 2 - point[0];
+        const springY = (path[k - 1][1] + path[k + 1][1]) / 2 - point[1];
+        return [
+          point[0] + step * (pullX / (total + weights[i]) + SPRING * springX),
+          point[1] + step * (pullY / (total + weights[i]) + SPRING * springY)
+        ];
+      });
+    });
+  }
+  return current;
+}
+
+// Map of `from -> to` to the arc positions ([lat, lng]) for each route.
+export function buildFlows(routes, { bundled }) {
+  const located = routes.filter((route) => route.fromCoord && route.toCoord);
+  const { project, unproject } = projection(located);
+  const arcs = located.map((route) => arc(project(route.fromCoord), project(route.toCoord)));
+  const paths = bundled ? bundle(arcs, located.map((route) => route.count)) : arcs;
+  return new Map(
+    located.map((route, i) => [`${route.from} -> ${route.to}`, paths[i].map(unproject)])
+  );
+}
+
+// Triangle pointing along the arc, sized in screen pixels for the zoom.
+export function arrowHead(positions, zoom, sizePx) {
+  if (positions.length < 2) return null;
+  const k = Math.cos((positions[0][0] * Math.PI) / 180);
+  const at = Math.min(positions.length - 1, Math.round(ARROW_AT * (positions.length - 1)));
+  const tip = positions[at];
+  const before = positions[at - 1];
+  const dx = (tip[1] - before[1]) * k;
+  const dy = tip[0] - before[0];
+  const length = Math.hypot(dx, dy);
+  if (!length) return null;
+  const unit = (360 * k) / (TILE_SIZE * 2 ** zoom);
+  const size = sizePx * unit;
+  const [ux, uy] = [dx / length, dy / length];
+  const base = [tip[1] * k - ux * size, tip[0] - uy * size];
+  const half = size * 0.6;
+  return [
+    tip,
+    [base[1] + ux * half, (base[0] - uy * half) / k],
+    [base[1] - ux * half, (base[0] + uy * half) / k]
+  ];
+}
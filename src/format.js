@@ -0,0 +1,70 @@
+const currencyFormat = new Intl.NumberFormat('nl-NL', {
+  style: 'currency',
+  currency: 'EUR'
+});
+
+export function formatDate(date) {
+  if (!date) return '-';
+  return date.toLocaleDateString('nl-NL', {
+    year: 'numeric',
+    month: 'short',
+    day: '2-digit'
+  });
+}
+
+export function formatCurrency(value) {
+  if (value == null || Number.isNaN(value)) return '-';
+  return currencyFormat.format(value);
+}
+
+export function formatMonth(key) {
+  const [year, month] = key.split('-').map(Number);
+  return new Date(year, month - 1, 1).toLocaleDateString('nl-NL', {
+    year: 'numeric',
+    month: 'short'
+  });
+}
+
+export function toInputDate(date) {
+  if (!date) return '';
+  const year = date.getFullYear();
+  const month = `${date.getMonth() + 1}`.padStart(2, '0');
+  const day = `${date.getDate()}`.padStart(2, '0');
+  return `${year}-${month}-${day}`;
+}
+
+export function monthKey(date) {
+  return `${date.getFullYear()}-${`${date.getMonth() + 1}`.padStart(2, '0')}`;
+}
+
+export function formatDuration(minutes) {
+  if (minutes == null || Number.isNaN(minutes)) return '-';
+  const rounded = Math.round(minutes);
+  if (rounded < 60) return `${rounded} min`;
+  return `${Math.floor(rounded / 60)}h ${`${rounded % 60}`.padStart(2, '0')}m`;
+}
+
+export function formatHour(hour) {
+  return `${`${hour}`.padStart(2, '0')}:00`;
+}
+
+export function formatDistance(km) {
+  if (km == null || Number.isNaN(km)) return '-';
+  if (km >= 100) return `${Math.round(km).toLocaleString('nl-NL')} km`;
+  return `${km.toLocaleString('nl-NL', { maximumFractionDigits: 1 })} km`;
+}
+
+export function formatWeight(kg) {
+  if (kg == null || Number.isNaN(kg)) return '-';
+  if (Math.abs(kg) >= 1000) {
+    return `${(kg / 1000).toLocaleString('nl-NL', { maximumFractionDigits: 2 })} t`;
+  }
+  return `${kg.toLocaleString('nl-NL', { maximumFractionDigits: 1 })} kg`;
+}
+
+export function formatBytes(bytes) {
+  if (bytes == null || Number.isNaN(bytes)) return '-';
+  if (bytes < 1024 * 1024) return `${Math.round(bytes / 1024)} KB`;
+  if (bytes < 1024 ** 3) return `${(bytes / 1024 ** 2).toFixed(1)} MB`;
+  return `${(bytes / 1024 ** 3).toFixed(2)} GB`;
+}
@@ -0,0 +1,82 @@
+const EARTH_RADIUS_KM = 6371;
+
+function toRadians(degrees) {
+  return (degrees * Math.PI) / 180;
+}
+
+export function haversineKm(a, b) {
+  if (!a || !b) return 0;
+  const dLat = toRadians(b.lat - a.lat);
+  const dLng = toRadians(b.lng - a.lng);
+  const h =
+    Math.sin(dLat / 2) ** 2 +
+    Math.cos(toRadians(a.lat)) * Math.cos(toRadians(b.lat)) * Math.sin(dLng / 2) ** 2;
+  return 2 * EARTH_RADIUS_KM * Math.asin(Math.sqrt(h));
+}
+
+function toDegrees(radians) {
+  return (radians * 180) / Math.PI;
+}
+
+// Intermediate points along the great circle, roughly one per 10 km.
+export function greatCircle(a, b) {
+  const distance = haversineKm(a, b);
+  const steps = Math.min(64, Math.max(1, Math.ceil(distance / 10)));
+  if (steps === 1) return [[a.lat, a.lng], [b.lat, b.lng]];
+
+  const lat1 = toRadians(a.lat);
+  const lng1 = toRadians(a.lng);
+  const lat2 = toRadians(b.lat);
+  const lng2 = toRadians(b.lng);
+  const angle = distance / EARTH_RADIUS_KM;
+  const points = [];
+  for (let i = 0; i <= steps; i += 1) {
+    const f = i / steps;
+    const x1 = Math.sin((1 - f) * angle) / Math.sin(angle);
+    const x2 = Math.sin(f * angle) / Math.sin(angle);
+    const x = x1 * Math.cos(lat1) * Math.cos(lng1) + x2 * Math.cos(lat2) * Math.cos(lng2);
+    const y = x1 * Math.cos(lat1) * Math.sin(lng1) + x2 * Math.cos(lat2) * Math.sin(lng2);
+    const z = x1 * Math.sin(lat1) + x2 * Math.sin(lat2);
+    points.push([toDegrees(Math.atan2(z, Math.hypot(x, y))), toDegrees(Math.atan2(y, x))]);
+  }
+  return points;
+}
+
+export function pathLengthKm(positions) {
+  let total = 0;
+  for (let i = 1; i < positions.length; i += 1) {
+    total += haversineKm(
+      { lat: positions[i - 1][0], lng: positions[i - 1][1] },
+      { lat: positions[i][0], lng: positions[i][1] }
+    );
+  }
+  return total;
+}
+
+// Point at `progress` (0-1) of the way along a polyline, by length.
+export function pointAlong(positions, progress) {
+  if (positions.length === 1 || progress <= 0) return positions[0];
+  if (progress >= 1) return positions[positions.length - 1];
+  const lengths = [];
+  let total = 0;
+  for (let i = 1; i < positions.length; i += 1) {
+    const length = Math.hypot(
+      positions[i][0] - positions[i - 1][0],
+      positions[i][1] - positions[i - 1][1]
+    );
+    lengths.push(length);
+    total += length;
+  }
+  let remaining = progress * total;
+  for (let i = 0; i < lengths.length; i += 1) {
+    if (remaining <= lengths[i]) {
+      const f = lengths[i] ? remaining / lengths[i] : 0;
+      return [
+        positions[i][0] + (positions[i + 1][0] - positions[i][0]) * f,
+        positions[i][1] + (positions[i + 1][1] - positions[i][1]) * f
+      ];
+    }
+    remaining -= lengths[i];
+  }
+  return positions[positions.length - 1];
+}
@@ -0,0 +1,111 @@
+import { haversineKm } from './geo.js';
+
+export const DEFAULT_TRANSFER_MINUTES = 30;
+export const DEFAULT_TRANSFER_METERS = 500;
+
+function isTransfer(previous, leg, coords, options) {
+  if (!previous.end || !leg.start) return false;
+  const gapMin = (leg.start - previous.end) / 60000;
+  if (gapMin < 0 || gapMin > options.transferMinutes) return false;
+  if (previous.to === leg.from) return true;
+  const distanceKm = haversineKm(coords[previous.to], coords[leg.from]);
+  return distanceKm > 0 && distanceKm * 1000 <= options.transferMeters;
+}
+
+function finishJourney(legs) {
+  const first = legs[0];
+  const last = legs[legs.length - 1];
+  return {
+    id: first.id,
+    traveller: first.traveller,
+    legs,
+    from: first.from,
+    to: last.to,
+    start: first.start,
+    end: last.end,
+    date: first.date,
+    durationMin: last.end ? Math.round((last.end - first.start) / 60000) : null,
+    stops: legs
+      .flatMap((leg) => [leg.from, leg.to])
+      .filter((stop, index, list) => stop !== list[index - 1]),
+    products: Array.from(new Set(legs.map((leg) => leg.product)))
+  };
+}
+
+function chainLegs(legs, coords, settings) {
+  const journeys = [];
+  let current = [];
+  legs.forEach((leg) => {
+    const previous = current[current.length - 1];
+    if (previous && !isTransfer(previous, leg, coords, settings)) {
+      journeys.push(finishJourney(current));
+      current = [];
+    }
+    current.push(leg);
+  });
+  if (current.length) journeys.push(finishJourney(current));
+  return journeys;
+}
+
+// Links consecutive legs whose check-in follows the previous check-out within
+// the transfer window, at the same stop or one within walking distance. Each
+// traveller is chained separately, so two people's legs never form one journey.
+export function buildJourneys(trips, coords, options = {}) {
+  const settings = {
+    transferMinutes: options.transferMinutes ?? DEFAULT_TRANSFER_MINUTES,
+    transferMeters: options.transferMeters ?? DEFAULT_TRANSFER_METERS
+  };
+  const byTraveller = new Map();
+  trips
+    .filter((trip) => trip.transactie === 'Reis' && trip.start && trip.from && trip.to)
+    .forEach((trip) => {
+      const key = trip.traveller || '';
+      if (!byTraveller.has(key)) byTraveller.set(key, []);
+      byTraveller.get(key).push(trip);
+    });
+
+  return Array.from(byTraveller.values())
+    .flatMap((legs) => chainLegs(legs.sort((a, b) => a.start - b.start), coords, settings))
+    .sort((a, b) => a.start - b.start);
+}
+
+export function summarizeJourneys(journeys) {
+  const routeMap = new Map();
+  journeys.forEach((journey) => {
+    if (journey.from === journey.to) return;
+    const key = `${journey.from} -> ${journey.to}`;
+    const route = routeMap.get(key) || {
+      key,
+      from: journey.from,
+      to: journey.to,
+      count: 0,
+      durationTotal: 0,
+      durationCount: 0,
+      variants: new Map()
+    };
+    route.count += 1;
+    if (journey.durationMin != null) {
+      route.durationTotal += journey.durationMin;
+      route.durationCount += 1;
+    }
+    const variant = journey.stops.join(' > ');
+    const entry = route.variants.get(variant) || { stops: journey.stops, count: 0 };
+    entry.count += 1;
+    route.variants.set(variant, entry);
+    routeMap.set(key, route);
+  });
+
+  const routes = Array.from(routeMap.values())
+    .map((route) => ({
+      ...route,
+      averageDuration: route.durationCount ? route.durationTotal / route.durationCount : null,
+      mainStops: Array.from(route.variants.values()).sort((a, b) => b.count - a.count)[0].stops
+    }))
+    .sort((a, b) => b.count - a.count);
+
+  return {
+    total: journeys.length,
+    multiLeg: journeys.filter((journey) => journey.legs.length > 1).length,
+    routes
+  };
+}
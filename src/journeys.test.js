@@ -0,0 +1,47 @@
+import assert from 'node:assert/strict';
+import { test } from 'node:test';
+import { buildJourneys } from './journeys.js';
+
+const coords = {
+  'Amsterdam Centraal': { lat: 52.3791, lng: 4.9003 },
+  Utrecht: { lat: 52.0894, lng: 5.1101 },
+  'Den Haag Centraal': { lat: 52.0809, lng: 4.3248 },
+  Leiden: { lat: 52.1664, lng: 4.4817 }
+};
+
+function leg(traveller, from, to, start, end) {
+  return {
+    id: `${traveller}-${start}`,
+    traveller,
+    transactie: 'Reis',
+    product: 'NS',
+    from,
+    to,
+    date: new Date(`2025-03-03T${start}:00`),
+    start: new Date(`2025-03-03T${start}:00`),
+    end: new Date(`2025-03-03T${end}:00`)
+  };
+}
+
+test('chains each traveller separately when their legs interleave', () => {
+  const trips = [
+    leg('Anna', 'Amsterdam Centraal', 'Utrecht', '08:00', '08:30'),
+    // Bram checks in where Anna just checked out, but it is his own first leg.
+    leg('Bram', 'Utrecht', 'Den Haag Centraal', '08:35', '09:15'),
+    leg('Anna', 'Utrecht', 'Amsterdam Centraal', '17:00', '17:30'),
+    leg('Bram', 'Den Haag Centraal', 'Leiden', '09:25', '09:40')
+  ];
+
+  const journeys = buildJourneys(trips, coords);
+
+  assert.equal(journeys.length, 3);
+  journeys.forEach((journey) => {
+    assert.ok(journey.legs.every((entry) => entry.traveller === journey.traveller));
+  });
+  const bram = journeys.find((journey) => journey.traveller === 'Bram');
+  assert.deepEqual(bram.stops, ['Utrecht', 'Den Haag Centraal', 'Leiden']);
+  assert.deepEqual(
+    journeys.filter((journey) => journey.traveller === 'Anna').map((journey) => journey.legs.length),
+    [1, 1]
+  );
+});
@@ -0,0 +1,115 @@
+const STORAGE_KEY = 'travel-lines:map-style';
+const CONFIG_URL = 'data/mapStyles.json';
+
+// Used when no data/mapStyles.json is deployed. See mapStyles.example.json
+// for the config format.
+export const BUILTIN_STYLES = [
+  {
+    id: 'standard',
+    name: 'Standard',
+    type: 'xyz',
+    url: 'https://{s}.tile.openstreetmap.org/{z}/{x}/{y}.png',
+    attribution: '&copy; OpenStreetMap contributors',
+    maxZoom: 19,
+    // The OSM tile usage policy forbids bulk downloading.
+    prefetch: false
+  },
+  {
+    id: 'voyager',
+    name: 'Voyager',
+    type: 'xyz',
+    url: 'https://{s}.basemaps.cartocdn.com/rastertiles/voyager/{z}/{x}/{y}{r}.png',
+    attribution: '&copy; OpenStreetMap &copy; CARTO',
+    maxZoom: 20
+  },
+  {
+    id: 'light',
+    name: 'Positron',
+    type: 'xyz',
+    url: 'https://{s}.basemaps.cartocdn.com/light_all/{z}/{x}/{y}{r}.png',
+    attribution: '&copy; OpenStreetMap &copy; CARTO',
+    maxZoom: 20
+  },
+  {
+    id: 'dark',
+    name: 'Dark Matter',
+    type: 'xyz',
+    url: 'https://{s}.basemaps.cartocdn.com/dark_all/{z}/{x}/{y}{r}.png',
+    attribution: '&copy; OpenStreetMap &copy; CARTO',
+    maxZoom: 20
+  },
+  {
+    id: 'satellite',
+    name: 'Satellite',
+    type: 'xyz',
+    url: 'https://server.arcgisonline.com/ArcGIS/rest/services/World_Imagery/MapServer/tile/{z}/{y}/{x}',
+    attribution:
+      'Tiles &copy; Esri &mdash; Source: Esri, i-cubed, USDA, USGS, AEX, GeoEye, Getmapping, Aerogrid, IGN, IGP, UPR-EBP, and the GIS User Community',
+    maxZoom: 19
+  }
+];
+
+export const BUILTIN_DEFAULT = 'voyager';
+
+// MBTiles cannot be read by the browser; they are served as XYZ by a tile
+// server (e.g. tileserver-gl or mbtileserver), so they share the xyz layer.
+const STYLE_TYPES = new Set(['xyz', 'mbtiles', 'pmtiles', 'vector']);
+
+function normalizeStyle(entry) {
+  // An entry with just an id picks a built-in style, optionally overriding fields.
+  const builtin = BUILTIN_STYLES.find((style) => style.id === entry.id);
+  const style = { ...builtin, ...entry };
+  style.type = style.type || 'xyz';
+  if (!style.id || !STYLE_TYPES.has(style.type)) return null;
+  if (style.type === 'vector' ? !style.style : !style.url) return null;
+  return {
+    ...style,
+    name: style.name || style.id,
+    attribution: style.attribution || '',
+    // Only plain raster tiles can be saved for offline use.
+    prefetch: style.type === 'xyz' && style.prefetch !== false
+  };
+}
+
+export function parseStyleConfig(config) {
+  const styles = (config?.styles || []).map(normalizeStyle).filter(Boolean);
+  if (!styles.length) return { styles: BUILTIN_STYLES, defaultStyle: BUILTIN_DEFAULT };
+  const defaultStyle = styles.some((style) => style.id === config.default)
+    ? config.default
+    : styles[0].id;
+  return { styles, defaultStyle };
+}
+
+export async function loadMapStyles() {
+  try {
+    const res = await fetch(CONFIG_URL);
+    if (!res.ok) throw new Error(`HTTP ${res.status}`);
+    return parseStyleConfig(await res.json());
+  } catch {
+    return { styles: BUILTIN_STYLES, defaultStyle: BUILTIN_DEFAULT };
+  }
+}
+
+export function loadStoredStyle() {
+  try {
+    return localStorage.getItem(STORAGE_KEY);
+  } catch {
+    return null;
+  }
+}
+
+export function storeStyle(id) {
+  try {
+    localStorage.setItem(STORAGE_KEY, id);
+  } catch {
+    // Private mode; the choice just isn't remembered.
+  }
+}
+
+export function resolveStyle(styles, id, fallback) {
+  return (
+    styles.find((style) => style.id === id) ||
+    styles.find((style) => style.id === fallback) ||
+    styles[0]
+  );
+}
@@ -0,0 +1,122 @@
+import { MODE_LABELS, productMode } from './emissions.js';
+import { haversineKm } from './geo.js';
+import { pairKey } from './odMatrix.js';
+
+const STORAGE_KEY = 'travel-lines:mode-overrides';
+const TRANSIT_CONFIG_URL = 'data/transitModes.json';
+
+export const MODES = ['train', 'metro', 'tram', 'bus', 'ferry'];
+
+export const MODE_COLORS = {
+  train: '#0f766e',
+  metro: '#2563eb',
+  tram: '#d97706',
+  bus: '#e76f51',
+  ferry: '#0891b2'
+};
+
+export function modeLabel(mode) {
+  return MODE_LABELS[mode] || mode;
+}
+
+export function modeColor(mode, fallback = '#94a3b8') {
+  return MODE_COLORS[mode] || fallback;
+}
+
+const FERRY_PATTERN = /steiger|veerhaven|veerpont|\bpont\b|\bveer\b|ferry|teso|doeksen/i;
+
+// Metro stations (as they appear in check-in exports) and the cities with a
+// tram network come from data/transitModes.json; see
+// transitModes.example.json for the format. Without it, BTM legs are only told
+// apart by the ferry names and are otherwise taken as bus.
+export const NO_TRANSIT_MODES = { metroStops: new Set(), tramAreas: [] };
+
+function validArea(area) {
+  return [area?.lat, area?.lng, area?.radiusKm].every(Number.isFinite) && area.radiusKm > 0;
+}
+
+export function parseTransitModes(config) {
+  return {
+    metroStops: new Set((config?.metroStops || []).filter((name) => typeof name === 'string')),
+    tramAreas: (config?.tramAreas || [])
+      .filter(validArea)
+      .map(({ lat, lng, radiusKm }) => ({ lat, lng, radiusKm }))
+  };
+}
+
+export async function loadTransitModes() {
+  try {
+    const res = await fetch(TRANSIT_CONFIG_URL);
+    if (!res.ok) throw new Error(`HTTP ${res.status}`);
+    return parseTransitModes(await res.json());
+  } catch {
+    return NO_TRANSIT_MODES;
+  }
+}
+
+// Average door-to-door speeds; metro runs notably faster than tram and city bus.
+const METRO_MIN_KMH = 24;
+const TRAM_MAX_KMH = 17;
+
+function inTramArea(tramAreas, coord) {
+  return Boolean(coord) && tramAreas.some((area) => haversineKm(area, coord) <= area.radiusKm);
+}
+
+export function inferMode(trip, coords, transit = NO_TRANSIT_MODES) {
+  const { metroStops, tramAreas } = transit;
+  const base = productMode(trip.product);
+  if (base === 'train') return 'train';
+  // The names as checked in, before aliases, are the ones these lists know.
+  const from = trip.rawFrom || trip.from;
+  const to = trip.rawTo || trip.to;
+  if (FERRY_PATTERN.test(from) || FERRY_PATTERN.test(to)) return 'ferry';
+  if (metroStops.has(from) && metroStops.has(to)) return 'metro';
+
+  const fromCoord = coords[trip.from];
+  const toCoord = coords[trip.to];
+  const speed =
+    trip.distanceKm && trip.durationMin > 0 ? trip.distanceKm / (trip.durationMin / 60) : null;
+  const urban = inTramArea(tramAreas, fromCoord) && inTramArea(tramAreas, toCoord);
+  if (urban && speed != null && speed >= METRO_MIN_KMH) {
+    if (metroStops.has(from) || metroStops.has(to)) return 'metro';
+  }
+  if (urban && speed != null && speed <= TRAM_MAX_KMH) return 'tram';
+  return 'bus';
+}
+
+export function loadModeOverrides() {
+  try {
+    return JSON.parse(localStorage.getItem(STORAGE_KEY)) || {};
+  } catch {
+    return {};
+  }
+}
+
+export function saveModeOverrides(overrides) {
+  localStorage.setItem(STORAGE_KEY, JSON.stringify(overrides));
+}
+
+// Overrides are stored per stop pair, so they cover both directions.
+export function overrideKey(from, to) {
+  return pairKey(from, to);
+}
+
+// cache may be kept across calls like the one in withDistances (for the same
+// transit config); its keys are product|rawFrom|rawTo|from|to|duration.
+export function withModes(trips, coords, overrides, transit, cache = new Map()) {
+  return trips.map((trip) => {
+    if (trip.transactie !== 'Reis') return trip;
+    const override = overrides[overrideKey(trip.from, trip.to)];
+    if (override) return { ...trip, mode: override, modeSource: 'override' };
+    const key = [
+      trip.product,
+      trip.rawFrom || trip.from,
+      trip.rawTo || trip.to,
+      trip.from,
+      trip.to,
+      trip.durationMin
+    ].join('|');
+    if (!cache.has(key)) cache.set(key, inferMode(trip, coords, transit));
+    return { ...trip, mode: cache.get(key), modeSource: 'inferred' };
+  });
+}
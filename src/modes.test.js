@@ -0,0 +1,37 @@
+import assert from 'node:assert/strict';
+import { test } from 'node:test';
+import { inferMode, parseTransitModes } from './modes.js';
+
+const transit = parseTransitModes({
+  metroStops: ['Rotterdam, Beurs', 'Rotterdam, Zuidplein', 42],
+  tramAreas: [
+    { name: 'Rotterdam', lat: 51.9225, lng: 4.4792, radiusKm: 8 },
+    { name: 'Broken', lat: 'north', lng: 4.5, radiusKm: 3 }
+  ]
+});
+
+const coords = {
+  'Rotterdam, Beurs': { lat: 51.9203, lng: 4.4778 },
+  'Rotterdam, Zuidplein': { lat: 51.8866, lng: 4.4885 },
+  'Rotterdam, Oostplein': { lat: 51.9232, lng: 4.4958 }
+};
+
+function leg(from, to, distanceKm, durationMin) {
+  return { product: 'Bus, Tram en Metro reizen', from, to, distanceKm, durationMin };
+}
+
+test('keeps only well-formed entries of the transit config', () => {
+  assert.deepEqual(Array.from(transit.metroStops), ['Rotterdam, Beurs', 'Rotterdam, Zuidplein']);
+  assert.deepEqual(transit.tramAreas, [{ lat: 51.9225, lng: 4.4792, radiusKm: 8 }]);
+});
+
+test('tells metro and tram apart with the configured stops and areas', () => {
+  const metro = leg('Rotterdam, Beurs', 'Rotterdam, Zuidplein', 4.2, 8);
+  const tram = leg('Rotterdam, Beurs', 'Rotterdam, Oostplein', 1.4, 9);
+  assert.equal(inferMode(metro, coords, transit), 'metro');
+  assert.equal(inferMode(tram, coords, transit), 'tram');
+});
+
+test('takes BTM legs as bus without a transit config', () => {
+  assert.equal(inferMode(leg('Rotterdam, Beurs', 'Rotterdam, Zuidplein', 4.2, 8), coords), 'bus');
+});
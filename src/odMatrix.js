@@ -0,0 +1,101 @@
+export function pairKey(a, b) {
+  return a < b ? `${a} <-> ${b}` : `${b} <-> ${a}`;
+}
+
+function mergeCounts(target, source) {
+  source.forEach((count, key) => {
+    target.set(key, (target.get(key) || 0) + count);
+  });
+}
+
+// Folds A -> B and B -> A into one undirected route per stop pair.
+export function mergeDirections(routes) {
+  const merged = new Map();
+  routes.forEach((route) => {
+    const key = pairKey(route.from, route.to);
+    const existing = merged.get(key);
+    if (!existing) {
+      merged.set(key, {
+        ...route,
+        undirected: true,
+        products: new Map(route.products),
+        travellers: new Map(route.travellers),
+        modes: new Map(route.modes),
+        dates: [...route.dates],
+        forward: route.count,
+        backward: 0
+      });
+      return;
+    }
+    existing.count += route.count;
+    existing.backward += route.count;
+    mergeCounts(existing.products, route.products);
+    mergeCounts(existing.travellers, route.travellers);
+    mergeCounts(existing.modes, route.modes);
+    existing.dates.push(...route.dates);
+  });
+  return Array.from(merged.values()).sort((a, b) => b.count - a.count);
+}
+
+export function asymmetry(forward, backward) {
+  const total = forward + backward;
+  return total ? (forward - backward) / total : 0;
+}
+
+export const MATRIX_SORTS = {
+  total: { label: 'Most trips', compare: (a, b) => b.total - a.total },
+  name: { label: 'Name', compare: (a, b) => a.name.localeCompare(b.name) },
+  imbalance: {
+    label: 'Most one-sided',
+    compare: (a, b) => Math.abs(b.out - b.in) - Math.abs(a.out - a.in) || b.total - a.total
+  }
+};
+
+export function buildOdMatrix(routes, { limit, sort }) {
+  const stopMap = new Map();
+  const cells = new Map();
+  routes.forEach((route) => {
+    const from = stopMap.get(route.from) || { name: route.from, out: 0, in: 0, total: 0 };
+    const to = stopMap.get(route.to) || { name: route.to, out: 0, in: 0, total: 0 };
+    from.out += route.count;
+    from.total += route.count;
+    to.in += route.count;
+    to.total += route.count;
+    stopMap.set(route.from, from);
+    stopMap.set(route.to, to);
+    cells.set(`${route.from} -> ${route.to}`, route);
+  });
+
+  const stops = Array.from(stopMap.values())
+    .sort(MATRIX_SORTS.total.compare)
+    .slice(0, limit)
+    .sort(MATRIX_SORTS[sort].compare);
+
+  // Walks the routes rather than every row x column pair, which for all stops
+  // would be millions of lookups.
+  const shown = new Set(stops.map((stop) => stop.name));
+  let maxCell = 1;
+  cells.forEach((route) => {
+    if (shown.has(route.from) && shown.has(route.to)) maxCell = Math.max(maxCell, route.count);
+  });
+
+  return { stops, cells, maxCell, totalStops: stopMap.size };
+}
+
+export function pairDetails(cells, from, to) {
+  const forward = cells.get(`${from} -> ${to}`);
+  const backward = cells.get(`${to} -> ${from}`);
+  const products = new Map();
+  if (forward) mergeCounts(products, forward.products);
+  if (backward) mergeCounts(products, backward.products);
+  const forwardCount = forward?.count || 0;
+  const backwardCount = backward?.count || 0;
+  return {
+    from,
+    to,
+    forward: forwardCount,
+    backward: backwardCount,
+    asymmetry: asymmetry(forwardCount, backwardCount),
+    products: Array.from(products.entries()).sort((a, b) => b[1] - a[1])
+  };
+}
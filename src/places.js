@@ -0,0 +1,233 @@
+import { haversineKm } from './geo.js';
+import { weekdayIndex } from './trips.js';
+
+const STORAGE_KEY = 'travel-lines:places';
+
+// Stops closer than this are treated as one place (e.g. the bus stops
+// around one address).
+const CLUSTER_KM = 0.6;
+// Grid cells for the neighbour lookup; the longitude cell is wide enough for
+// CLUSTER_KM up to 60° north.
+const CELL_DEG = CLUSTER_KM / 111;
+const LNG_CELL_DEG = CELL_DEG * 2;
+const MIN_VISITS = 6;
+const MAX_FREQUENT = 8;
+const WORK_HOURS = { from: 6, to: 11 };
+
+export const PLACE_KINDS = {
+  home: 'Home',
+  work: 'Work',
+  frequent: 'Frequent'
+};
+
+export function loadPlaceEdits() {
+  try {
+    return JSON.parse(localStorage.getItem(STORAGE_KEY)) || {};
+  } catch {
+    return {};
+  }
+}
+
+export function savePlaceEdits(edits) {
+  localStorage.setItem(STORAGE_KEY, JSON.stringify(edits));
+}
+
+// The id is the sorted stop list, so it doesn't depend on which stop happens
+// to be the busiest in the current selection.
+export function placeId(stops) {
+  return [...stops].sort((a, b) => a.localeCompare(b)).join('|');
+}
+
+function sharesStop(id, stops) {
+  return id.split('|').some((name) => stops.includes(name));
+}
+
+// Edits and focus URLs may name a place by an older stop list (the cluster
+// has since gained or lost a stop); any stop in common still finds it.
+export function findPlace(places, id) {
+  return (
+    places.find((place) => place.id === id) ||
+    places.find((place) => sharesStop(id, place.stops))
+  );
+}
+
+// A place focus from the URL only carries its id; its stops come from detection.
+export function resolveFocus(focus, places) {
+  if (focus?.type !== 'place') return focus;
+  const place = findPlace(places, focus.id);
+  return place ? { type: 'place', id: place.id, label: place.label, stops: place.stops } : focus;
+}
+
+// Complete linkage: a stop only joins a place when it is within CLUSTER_KM of
+// every stop already in it, so a row of close stops (a tram line through a
+// district) can't chain into one place. Busier stops come first and seed the
+// places; candidates are found through the grid rather than every pair.
+function clusterStops(names, coords) {
+  const cells = new Map();
+  const clusters = [];
+  const cellKey = (row, col) => `${row}:${col}`;
+  names.forEach((name) => {
+    const coord = coords[name];
+    const row = Math.floor(coord.lat / CELL_DEG);
+    const col = Math.floor(coord.lng / LNG_CELL_DEG);
+    const candidates = new Set();
+    for (let r = row - 1; r <= row + 1; r += 1) {
+      for (let c = col - 1; c <= col + 1; c += 1) {
+        (cells.get(cellKey(r, c)) || []).forEach((cluster) => candidates.add(cluster));
+      }
+    }
+    let best = null;
+    let bestDistance = Infinity;
+    candidates.forEach((cluster) => {
+      const distances = cluster.map((other) => haversineKm(coord, coords[other]));
+      if (Math.max(...distances) > CLUSTER_KM) return;
+      const nearest = Math.min(...distances);
+      if (nearest < bestDistance) {
+        best = cluster;
+        bestDistance = nearest;
+      }
+    });
+    const cluster = best || [];
+    if (!best) clusters.push(cluster);
+    cluster.push(name);
+    const key = cellKey(row, col);
+    if (!cells.has(key)) cells.set(key, []);
+    if (!cells.get(key).includes(cluster)) cells.get(key).push(cluster);
+  });
+  return clusters;
+}
+
+function increment(map, key, by = 1) {
+  map.set(key, (map.get(key) || 0) + by);
+}
+
+function pickTop(counts, exclude) {
+  return Array.from(counts.entries())
+    .filter(([key]) => !exclude.includes(key))
+    .sort((a, b) => b[1] - a[1])[0]?.[0];
+}
+
+// Home is the place most days start and end at; work the main weekday
+// morning destination; every other place visited often enough is "frequent".
+export function detectPlaces(trips, coords) {
+  const legs = trips.filter((trip) => trip.transactie === 'Reis' && trip.from && trip.to);
+  const visits = new Map();
+  legs.forEach((trip) => {
+    increment(visits, trip.from);
+    increment(visits, trip.to);
+  });
+  const located = Array.from(visits.keys())
+    .filter((name) => coords[name])
+    .sort((a, b) => visits.get(b) - visits.get(a));
+  const clusters = clusterStops(located, coords).map((stops) => {
+    const sorted = stops.sort((a, b) => visits.get(b) - visits.get(a));
+    const total = sorted.reduce((sum, name) => sum + visits.get(name), 0);
+    return {
+      id: placeId(sorted),
+      name: sorted[0],
+      stops: sorted,
+      visits: total,
+      center: {
+        lat: sorted.reduce((sum, name) => sum + coords[name].lat * visits.get(name), 0) / total,
+        lng: sorted.reduce((sum, name) => sum + coords[name].lng * visits.get(name), 0) / total
+      }
+    };
+  });
+  const clusterOf = new Map();
+  clusters.forEach((cluster) => cluster.stops.forEach((name) => clusterOf.set(name, cluster.id)));
+
+  // A day is one traveller's day, so the first and last legs of different
+  // people on the same date aren't mixed.
+  const days = new Map();
+  legs.forEach((trip) => {
+    const key = `${trip.traveller || ''}|${trip.dateLabel}`;
+    if (!days.has(key)) days.set(key, []);
+    days.get(key).push(trip);
+  });
+  const anchors = new Map();
+  days.forEach((dayLegs) => {
+    const sorted = dayLegs.sort((a, b) => (a.start || a.date) - (b.start || b.date));
+    const first = clusterOf.get(sorted[0].from);
+    const last = clusterOf.get(sorted[sorted.length - 1].to);
+    if (first) increment(anchors, first);
+    if (last) increment(anchors, last);
+  });
+  const homeId = pickTop(anchors, []);
+
+  const mornings = new Map();
+  legs.forEach((trip) => {
+    if (!trip.start || weekdayIndex(trip.date) > 4) return;
+    const hour = trip.start.getHours();
+    if (hour < WORK_HOURS.from || hour > WORK_HOURS.to) return;
+    const id = clusterOf.get(trip.to);
+    if (id) increment(mornings, id);
+  });
+  const workId = pickTop(mornings, [homeId]);
+
+  const place = (cluster, kind) => ({
+    ...cluster,
+    kind,
+    label: kind === 'frequent' ? cluster.name : `${PLACE_KINDS[kind]} (${cluster.name})`,
+    confirmed: false
+  });
+  const home = clusters.find((cluster) => cluster.id === homeId);
+  const work = clusters.find((cluster) => cluster.id === workId);
+  const frequent = clusters
+    .filter((cluster) => cluster !== home && cluster !== work && cluster.visits >= MIN_VISITS)
+    .sort((a, b) => b.visits - a.visits)
+    .slice(0, MAX_FREQUENT);
+
+  return [
+    ...(home ? [place(home, 'home')] : []),
+    ...(work ? [place(work, 'work')] : []),
+    ...frequent.map((cluster) => place(cluster, 'frequent'))
+  ];
+}
+
+// editKey is the key the edit is stored under, which lags behind the id after
+// the place's stops change.
+export function applyPlaceEdits(places, edits) {
+  const keys = Object.keys(edits);
+  return places
+    .map((place) => {
+      const key = edits[place.id] ? place.id : keys.find((id) => sharesStop(id, place.stops));
+      return key ? { ...place, ...edits[key], editKey: key } : place;
+    })
+    .filter((place) => !place.dismissed);
+}
+
+export function placeIndex(places) {
+  const index = new Map();
+  places.forEach((place) => place.stops.forEach((name) => index.set(name, place)));
+  return index;
+}
+
+// Trips between places; stops outside every place are grouped as "Elsewhere".
+export function placeStats(trips, places) {
+  const index = placeIndex(places);
+  const flows = new Map();
+  const totals = new Map(
+    places.map((place) => [place.id, { departures: 0, arrivals: 0, spend: 0 }])
+  );
+  trips.forEach((trip) => {
+    if (trip.transactie !== 'Reis') return;
+    const from = index.get(trip.from);
+    const to = index.get(trip.to);
+    if (from) {
+      totals.get(from.id).departures += 1;
+      totals.get(from.id).spend += trip.amount || 0;
+    }
+    if (to) totals.get(to.id).arrivals += 1;
+    if ((!from && !to) || from === to) return;
+    const fromLabel = from?.label || 'Elsewhere';
+    const toLabel = to?.label || 'Elsewhere';
+    const key = `${fromLabel} -> ${toLabel}`;
+    const flow = flows.get(key) || { key, from: fromLabel, to: toLabel, count: 0 };
+    flow.count += 1;
+    flows.set(key, flow);
+  });
+  return {
+    totals,
+    flows: Array.from(flows.values()).sort((a, b) => b.count - a.count)
+  };
+}
@@ -0,0 +1,37 @@
+import assert from 'node:assert/strict';
+import { test } from 'node:test';
+import { haversineKm } from './geo.js';
+import { detectPlaces } from './places.js';
+
+// Ten tram stops in a row, each 0.5 km from the next.
+const stops = Array.from({ length: 10 }, (_, i) => `Halte ${i}`);
+const coords = Object.fromEntries(
+  stops.map((name, i) => [name, { lat: 52.35 + (i * 0.5) / 111.2, lng: 4.9 }])
+);
+
+function leg(from, to, day, hour) {
+  const date = new Date(2025, 2, 3 + day);
+  return {
+    traveller: 'Anna',
+    transactie: 'Reis',
+    from,
+    to,
+    date,
+    dateLabel: `${date.getDate()}-${date.getMonth() + 1}-${date.getFullYear()}`,
+    start: new Date(2025, 2, 3 + day, hour)
+  };
+}
+
+test('does not chain a row of close stops into one place', () => {
+  const trips = [];
+  for (let day = 0; day < 8; day += 1) {
+    stops.slice(1).forEach((to, i) => trips.push(leg(stops[i], to, day, 7 + i)));
+  }
+  const places = detectPlaces(trips, coords);
+  assert.ok(places.length > 1);
+  places.forEach((place) => {
+    place.stops.forEach((a) =>
+      place.stops.forEach((b) => assert.ok(haversineKm(coords[a], coords[b]) <= 0.6))
+    );
+  });
+});
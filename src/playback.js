@@ -0,0 +1,80 @@
+import { pointAlong } from './geo.js';
+import { routePositions } from './routeGeometry.js';
+
+// Trips without a check-out still get a short leg so they show up in the replay.
+const FALLBACK_DURATION_MS = 20 * 60 * 1000;
+
+export const PLAYBACK_SPEEDS = [
+  { key: 'hour', label: '1 hour/s', msPerSecond: 60 * 60 * 1000 },
+  { key: 'day', label: '1 day/s', msPerSecond: 24 * 60 * 60 * 1000 },
+  { key: 'week', label: '1 week/s', msPerSecond: 7 * 24 * 60 * 60 * 1000 },
+  { key: 'month', label: '1 month/s', msPerSecond: 30 * 24 * 60 * 60 * 1000 }
+];
+
+export function buildTimeline(trips, coords, geometry) {
+  const segments = [];
+  const paths = new Map();
+  trips.forEach((trip) => {
+    if (trip.transactie !== 'Reis' || !trip.start) return;
+    const fromCoord = coords[trip.from];
+    const toCoord = coords[trip.to];
+    if (!fromCoord || !toCoord) return;
+    const start = trip.start.getTime();
+    const end = trip.end && trip.end > trip.start ? trip.end.getTime() : start + FALLBACK_DURATION_MS;
+    const routeKey = `${trip.from} -> ${trip.to}`;
+    if (!paths.has(routeKey)) {
+      paths.set(routeKey, routePositions(geometry, trip.from, trip.to, fromCoord, toCoord));
+    }
+    segments.push({
+      id: trip.id,
+      routeKey,
+      positions: paths.get(routeKey),
+      from: trip.from,
+      to: trip.to,
+      product: trip.product,
+      fromCoord,
+      toCoord,
+      start,
+      end
+    });
+  });
+
+  segments.sort((a, b) => a.start - b.start);
+  const byEnd = [...segments].sort((a, b) => a.end - b.end);
+
+  return {
+    segments,
+    byEnd,
+    longest: segments.reduce((max, segment) => Math.max(max, segment.end - segment.start), 0),
+    min: segments.length ? segments[0].start : null,
+    max: byEnd.length ? byEnd[byEnd.length - 1].end : null
+  };
+}
+
+// Number of items in a list sorted by `field` whose value is <= time.
+export function countUntil(list, field, time) {
+  let low = 0;
+  let high = list.length;
+  while (low < high) {
+    const mid = (low + high) >> 1;
+    if (list[mid][field] <= time) low = mid + 1;
+    else high = mid;
+  }
+  return low;
+}
+
+export function interpolate(segment, time) {
+  const progress = (time - segment.start) / (segment.end - segment.start);
+  return pointAlong(segment.positions, progress);
+}
+
+export function activeSegments(timeline, time) {
+  const started = countUntil(timeline.segments, 'start', time);
+  const active = [];
+  for (let i = started - 1; i >= 0; i -= 1) {
+    const segment = timeline.segments[i];
+    if (segment.start < time - timeline.longest) break;
+    if (segment.end > time) active.push(segment);
+  }
+  return active;
+}
@@ -0,0 +1,23 @@
+export const PRODUCT_COLORS = {
+  'Reizen op Rekening Trein': '#0f766e',
+  'Treinreizen': '#1f8a70',
+  'Bus, Tram en Metro reizen': '#e76f51',
+  'Intercity Direct Toeslag': '#a44a3f',
+  'Klanten Service': '#6b7280'
+};
+
+export const PRODUCT_LABELS = {
+  'Reizen op Rekening Trein': 'Train (rekening)',
+  'Treinreizen': 'Train (ticket)',
+  'Bus, Tram en Metro reizen': 'Bus/Tram/Metro',
+  'Intercity Direct Toeslag': 'Intercity Direct',
+  'Klanten Service': 'Service'
+};
+
+export function productColor(product, fallback = '#94a3b8') {
+  return PRODUCT_COLORS[product] || fallback;
+}
+
+export function productLabel(product) {
+  return PRODUCT_LABELS[product] || product;
+}
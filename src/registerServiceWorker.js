@@ -0,0 +1,9 @@
+// The worker is only emitted by the production build (see pwa/plugin.js).
+export function registerServiceWorker() {
+  if (!import.meta.env.PROD || !('serviceWorker' in navigator)) return;
+  window.addEventListener('load', () => {
+    navigator.serviceWorker.register(`${import.meta.env.BASE_URL}sw.js`).catch(() => {
+      // Offline support is optional; the app works without it.
+    });
+  });
+}
@@ -0,0 +1,29 @@
+import { greatCircle, haversineKm, pathLengthKm } from './geo.js';
+
+export async function loadRouteGeometry() {
+  try {
+    const res = await fetch('data/routeGeometry.json');
+    if (!res.ok) return {};
+    const json = await res.json();
+    return json.routes || {};
+  } catch {
+    return {};
+  }
+}
+
+// Snapped geometry from scripts/buildRouteGeometry.mjs when there is one (either
+// direction), otherwise a great-circle line between the two stops.
+export function routePositions(geometry, from, to, fromCoord, toCoord) {
+  const forward = geometry[`${from} -> ${to}`];
+  if (forward) return forward.coordinates;
+  const backward = geometry[`${to} -> ${from}`];
+  if (backward) return [...backward.coordinates].reverse();
+  return greatCircle(fromCoord, toCoord);
+}
+
+export function routeDistanceKm(geometry, from, to, fromCoord, toCoord) {
+  const snapped = geometry[`${from} -> ${to}`] || geometry[`${to} -> ${from}`];
+  if (snapped?.lengthKm) return snapped.lengthKm;
+  if (snapped) return pathLengthKm(snapped.coordinates);
+  return haversineKm(fromCoord, toCoord);
+}
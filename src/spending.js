@@ -0,0 +1,55 @@
+import { monthKey } from './format.js';
+
+function addTo(map, key, amount, extra = {}) {
+  const entry = map.get(key) || { key, amount: 0, count: 0, ...extra };
+  entry.amount += amount;
+  entry.count += 1;
+  map.set(key, entry);
+}
+
+function byAmount(map) {
+  return Array.from(map.values()).sort((a, b) => b.amount - a.amount);
+}
+
+export function computeSpending(trips) {
+  const routeMap = new Map();
+  const productMap = new Map();
+  const monthMap = new Map();
+  let total = 0;
+  let charged = 0;
+  let refunded = 0;
+  let pricedCount = 0;
+  let fareKm = 0;
+  let fareForKm = 0;
+
+  trips.forEach((trip) => {
+    if (trip.amount == null) return;
+    const amount = trip.amount;
+    pricedCount += 1;
+    total += amount;
+    if (amount < 0) refunded += -amount;
+    else charged += amount;
+
+    addTo(productMap, trip.product || 'Unknown', amount);
+    addTo(monthMap, monthKey(trip.date), amount);
+
+    if (!trip.from || !trip.to) return;
+    addTo(routeMap, `${trip.from} -> ${trip.to}`, amount, { from: trip.from, to: trip.to });
+
+    if (amount > 0 && trip.distanceKm > 0) {
+      fareKm += trip.distanceKm;
+      fareForKm += amount;
+    }
+  });
+
+  return {
+    total,
+    charged,
+    refunded,
+    pricedCount,
+    perKm: fareKm > 0 ? fareForKm / fareKm : null,
+    routes: byAmount(routeMap),
+    products: byAmount(productMap),
+    months: Array.from(monthMap.values()).sort((a, b) => a.key.localeCompare(b.key))
+  };
+}
@@ -0,0 +1,94 @@
+import { haversineKm } from './geo.js';
+
+const STORAGE_KEY = 'travel-lines:stop-corrections';
+
+// Rough box around the Netherlands, Belgium and Germany, matching the
+// countrycodes the geocoder searches in.
+const SERVICE_AREA = { south: 49.4, north: 55.1, west: 2.5, east: 15.1 };
+const ISOLATED_KM = 75;
+const LOW_CONFIDENCE = 0.5;
+
+export function loadCorrections() {
+  try {
+    return JSON.parse(localStorage.getItem(STORAGE_KEY)) || {};
+  } catch {
+    return {};
+  }
+}
+
+export function saveCorrections(corrections) {
+  localStorage.setItem(STORAGE_KEY, JSON.stringify(corrections));
+}
+
+export function applyCorrections(coords, corrections) {
+  if (!Object.keys(corrections).length) return coords;
+  return { ...coords, ...corrections };
+}
+
+export function correctionEntry(lat, lng) {
+  return {
+    lat: Number(lat.toFixed(6)),
+    lng: Number(lng.toFixed(6)),
+    label: 'Manual correction',
+    source: 'manual',
+    correctedAt: new Date().toISOString()
+  };
+}
+
+function insideServiceArea(coord) {
+  return (
+    coord.lat >= SERVICE_AREA.south &&
+    coord.lat <= SERVICE_AREA.north &&
+    coord.lng >= SERVICE_AREA.west &&
+    coord.lng <= SERVICE_AREA.east
+  );
+}
+
+// Stops used in the trips that have no coordinate, or one that looks wrong.
+export function reviewStops(trips, coords, corrections) {
+  const counts = new Map();
+  trips.forEach((trip) => {
+    if (trip.transactie !== 'Reis') return;
+    [trip.from, trip.to].forEach((name) => {
+      if (name) counts.set(name, (counts.get(name) || 0) + 1);
+    });
+  });
+
+  const located = Array.from(counts.keys()).filter((name) => coords[name]);
+  const issues = [];
+  counts.forEach((count, name) => {
+    const coord = coords[name];
+    const corrected = Boolean(corrections[name]);
+    if (!coord) {
+      issues.push({ name, count, reason: 'Not geocoded', corrected });
+      return;
+    }
+    if (!insideServiceArea(coord)) {
+      issues.push({ name, count, reason: 'Outside NL/BE/DE', corrected });
+      return;
+    }
+    const nearest = located.reduce((min, other) => {
+      if (other === name) return min;
+      return Math.min(min, haversineKm(coord, coords[other]));
+    }, Infinity);
+    if (located.length > 1 && nearest > ISOLATED_KM) {
+      issues.push({ name, count, reason: `${Math.round(nearest)} km from any other stop`, corrected });
+      return;
+    }
+    if (!corrected && coord.confidence != null && coord.confidence < LOW_CONFIDENCE) {
+      issues.push({ name, count, reason: `Low confidence (${coord.source || 'geocoder'})`, corrected });
+      return;
+    }
+    if (corrected) issues.push({ name, count, reason: 'Corrected', corrected });
+  });
+
+  return issues.sort((a, b) => Number(a.corrected) - Number(b.corrected) || b.count - a.count);
+}
+
+// Same shape as public/data/stopCoords.json so it can be merged into it.
+export function buildPatch(corrections) {
+  return {
+    generatedAt: new Date().toISOString(),
+    stops: corrections
+  };
+}
@@ -0,0 +1,99 @@
+import L from 'leaflet';
+
+// Must match TILE_CACHE in pwa/sw.js.
+const TILE_CACHE = 'travel-lines-tiles';
+const DEFAULT_SUBDOMAINS = 'abc';
+const CONCURRENCY = 4;
+export const MAX_TILES = 5000;
+// Rough average size of a raster tile, for the estimate shown before downloading.
+export const AVERAGE_TILE_KB = 25;
+
+export function offlineSupported() {
+  return typeof caches !== 'undefined' && 'serviceWorker' in navigator;
+}
+
+function tileX(lng, zoom) {
+  return Math.floor(((lng + 180) / 360) * 2 ** zoom);
+}
+
+function tileY(lat, zoom) {
+  const rad = (lat * Math.PI) / 180;
+  return Math.floor(((1 - Math.log(Math.tan(rad) + 1 / Math.cos(rad)) / Math.PI) / 2) * 2 ** zoom);
+}
+
+// Same substitutions as L.TileLayer, including its subdomain choice, so the
+// cached URLs are exactly the ones the map requests later.
+function tileUrl(template, subdomains, x, y, z) {
+  return template
+    .replace('{s}', subdomains[Math.abs(x + y) % subdomains.length])
+    .replace('{z}', z)
+    .replace('{x}', x)
+    .replace('{y}', y)
+    .replace('{r}', L.Browser.retina ? '@2x' : '');
+}
+
+export function tileUrls(template, bounds, minZoom, maxZoom, subdomains = DEFAULT_SUBDOMAINS) {
+  const [[south, west], [north, east]] = bounds;
+  const urls = [];
+  for (let z = minZoom; z <= maxZoom; z += 1) {
+    const [x0, x1] = [tileX(west, z), tileX(east, z)];
+    const [y0, y1] = [tileY(north, z), tileY(south, z)];
+    for (let x = x0; x <= x1; x += 1) {
+      for (let y = y0; y <= y1; y += 1) urls.push(tileUrl(template, subdomains, x, y, z));
+    }
+  }
+  return urls;
+}
+
+export function countTiles(bounds, minZoom, maxZoom) {
+  const [[south, west], [north, east]] = bounds;
+  let count = 0;
+  for (let z = minZoom; z <= maxZoom; z += 1) {
+    count += (tileX(east, z) - tileX(west, z) + 1) * (tileY(south, z) - tileY(north, z) + 1);
+  }
+  return count;
+}
+
+export async function downloadTiles(urls, { onProgress, signal } = {}) {
+  const cache = await caches.open(TILE_CACHE);
+  const queue = [...urls];
+  let done = 0;
+  let failed = 0;
+
+  async function next() {
+    while (queue.length && !signal?.aborted) {
+      const url = queue.shift();
+      try {
+        if (!(await cache.match(url))) {
+          const response = await fetch(url, { mode: 'cors', signal });
+          if (!response.ok) throw new Error(`HTTP ${response.status}`);
+          await cache.put(url, response);
+        }
+      } catch {
+        if (signal?.aborted) return;
+        failed += 1;
+      }
+      done += 1;
+      onProgress?.({ done, failed, total: urls.length });
+    }
+  }
+
+  await Promise.all(Array.from({ length: CONCURRENCY }, next));
+  return { done, failed, total: urls.length };
+}
+
+export async function cachedTileCount() {
+  if (typeof caches === 'undefined') return 0;
+  const cache = await caches.open(TILE_CACHE);
+  return (await cache.keys()).length;
+}
+
+export function clearTiles() {
+  return caches.delete(TILE_CACHE);
+}
+
+export async function storageUsage() {
+  if (!navigator.storage?.estimate) return null;
+  const { usage, quota } = await navigator.storage.estimate();
+  return { usage, quota };
+}
@@ -0,0 +1,67 @@
+import { weekdayIndex } from './trips.js';
+
+export const WEEKDAYS = ['Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat', 'Sun'];
+
+const DURATION_BUCKETS = [10, 20, 30, 45, 60, 90, 120];
+
+export function tripSlot(trip) {
+  if (!trip.start) return null;
+  return { day: weekdayIndex(trip.start), hour: trip.start.getHours() };
+}
+
+export function matchesSlot(trip, slot) {
+  const tripTime = tripSlot(trip);
+  if (!tripTime) return false;
+  if (slot.day != null && tripTime.day !== slot.day) return false;
+  if (slot.hour != null && tripTime.hour !== slot.hour) return false;
+  return true;
+}
+
+function bucketLabel(index) {
+  const lower = index === 0 ? 0 : DURATION_BUCKETS[index - 1];
+  const upper = DURATION_BUCKETS[index];
+  return upper ? `${lower}–${upper}m` : `${lower}m+`;
+}
+
+export function computeTimeStats(trips) {
+  const heatmap = WEEKDAYS.map(() => new Array(24).fill(0));
+  const buckets = new Array(DURATION_BUCKETS.length + 1).fill(0);
+  const routeMap = new Map();
+  let maxCell = 0;
+  let durationTotal = 0;
+  let durationCount = 0;
+
+  trips.forEach((trip) => {
+    if (trip.transactie !== 'Reis') return;
+    const slot = tripSlot(trip);
+    if (slot) {
+      heatmap[slot.day][slot.hour] += 1;
+      maxCell = Math.max(maxCell, heatmap[slot.day][slot.hour]);
+    }
+
+    if (trip.durationMin == null || trip.durationMin < 0) return;
+    const index = DURATION_BUCKETS.findIndex((limit) => trip.durationMin < limit);
+    buckets[index === -1 ? DURATION_BUCKETS.length : index] += 1;
+    durationTotal += trip.durationMin;
+    durationCount += 1;
+
+    if (!trip.from || !trip.to) return;
+    const key = `${trip.from} -> ${trip.to}`;
+    const route = routeMap.get(key) || { key, from: trip.from, to: trip.to, total: 0, count: 0 };
+    route.total += trip.durationMin;
+    route.count += 1;
+    routeMap.set(key, route);
+  });
+
+  const routeDurations = Array.from(routeMap.values())
+    .map((route) => ({ ...route, average: route.total / route.count }))
+    .sort((a, b) => b.count - a.count);
+
+  return {
+    heatmap,
+    maxCell,
+    durations: buckets.map((count, index) => ({ label: bucketLabel(index), count })),
+    averageDuration: durationCount ? durationTotal / durationCount : null,
+    routeDurations
+  };
+}
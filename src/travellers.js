@@ -0,0 +1,69 @@
+// Imported rows are tagged with the traveller (or card) they belong to in an
+// extra column, so merged exports of several people stay apart.
+export const TRAVELLER_COLUMN = 'Reiziger';
+
+export const TRAVELLER_PALETTE = [
+  '#2563eb',
+  '#db2777',
+  '#16a34a',
+  '#d97706',
+  '#7c3aed',
+  '#0891b2',
+  '#dc2626',
+  '#4d7c0f'
+];
+
+export const SHARED_ROUTE_COLOR = '#1f2a28';
+
+export function travellerFromFile(fileName) {
+  return fileName.replace(/\.csv$/i, '').trim();
+}
+
+// An import without a typed name is one traveller, not one per file: per-file
+// names would keep overlapping exports of the same card from merging. It
+// continues the only traveller already loaded, or is named after the first file.
+export function importTraveller(traveller, fileNames, baseRows) {
+  if (traveller) return traveller;
+  const existing = new Set(baseRows.map((row) => row[TRAVELLER_COLUMN]).filter(Boolean));
+  if (existing.size === 1) return Array.from(existing)[0];
+  return travellerFromFile(fileNames[0]);
+}
+
+export function tagRows(rows, traveller) {
+  return rows.map((row) => (row[TRAVELLER_COLUMN] ? row : { ...row, [TRAVELLER_COLUMN]: traveller }));
+}
+
+export function listTravellers(trips) {
+  const names = new Set();
+  trips.forEach((trip) => {
+    if (trip.traveller) names.add(trip.traveller);
+  });
+  return Array.from(names).sort((a, b) => a.localeCompare(b));
+}
+
+// Keeps colours that were already picked and hands out unused palette
+// entries to new names.
+export function assignColors(names, existing = {}) {
+  const colors = { ...existing };
+  const used = new Set(Object.values(colors));
+  names.forEach((name) => {
+    if (colors[name]) return;
+    const free = TRAVELLER_PALETTE.find((color) => !used.has(color));
+    colors[name] = free || TRAVELLER_PALETTE[Object.keys(colors).length % TRAVELLER_PALETTE.length];
+    used.add(colors[name]);
+  });
+  return colors;
+}
+
+export function travellerColor(colors, name, fallback = '#94a3b8') {
+  return colors[name] || fallback;
+}
+
+export function dominantTraveller(route) {
+  const top = Array.from(route.travellers?.entries() || []).sort((a, b) => b[1] - a[1])[0];
+  return top?.[0] || null;
+}
+
+export function isShared(route) {
+  return (route.travellers?.size || 0) > 1;
+}
@@ -0,0 +1,97 @@
+import { TRAVELLER_COLUMN } from './travellers.js';
+
+// Column names differ slightly between NS and OV-chipkaart exports.
+const AMOUNT_COLUMNS = ['Bedrag', 'Prijs', 'Ritprijs', 'Bedrag (EUR)'];
+
+export function parseDate(value) {
+  if (!value) return null;
+  const [day, month, year] = value.split('-').map(Number);
+  if (!day || !month || !year) return null;
+  return new Date(year, month - 1, day);
+}
+
+// Handles "€ 2,35", "-1,20" and "1.234,56" as well as plain "2.35".
+export function parseAmount(value) {
+  if (value == null) return null;
+  let text = `${value}`.replace(/[€\s]/g, '').replace(/^EUR/i, '');
+  if (!text) return null;
+  let sign = 1;
+  if (text.startsWith('(') && text.endsWith(')')) {
+    sign = -1;
+    text = text.slice(1, -1);
+  }
+  if (text.startsWith('-')) {
+    sign = -1;
+    text = text.slice(1);
+  } else if (text.startsWith('+')) {
+    text = text.slice(1);
+  }
+  if (text.includes(',')) {
+    text = text.replace(/\./g, '').replace(',', '.');
+  }
+  const amount = Number(text);
+  return Number.isFinite(amount) ? sign * amount : null;
+}
+
+// Times are "HH:MM" (sometimes with seconds) on the day in Datum.
+export function parseTime(date, value) {
+  if (!date || !value) return null;
+  const match = `${value}`.trim().match(/(\d{1,2}):(\d{2})(?::(\d{2}))?$/);
+  if (!match) return null;
+  const [, hours, minutes, seconds] = match.map(Number);
+  if (hours > 23 || minutes > 59) return null;
+  const time = new Date(date);
+  time.setHours(hours, minutes, seconds || 0, 0);
+  return time;
+}
+
+// A check-out earlier than the check-in means the journey passed midnight.
+function parseInterval(date, checkIn, checkOut) {
+  const start = parseTime(date, checkIn);
+  let end = parseTime(date, checkOut);
+  if (start && end && end < start) {
+    end = new Date(end);
+    end.setDate(end.getDate() + 1);
+  }
+  return {
+    start,
+    end,
+    durationMin: start && end ? Math.round((end - start) / 60000) : null
+  };
+}
+
+export function weekdayIndex(date) {
+  return (date.getDay() + 6) % 7;
+}
+
+function readAmount(row) {
+  const column = AMOUNT_COLUMNS.find((name) => row[name] != null && row[name] !== '');
+  return column ? parseAmount(row[column]) : null;
+}
+
+export function normalizeRows(rows) {
+  return rows
+    .map((row, index) => {
+      const date = parseDate(row['Datum']);
+      const { start, end, durationMin } = parseInterval(date, row['Check in'], row['Check uit']);
+      return {
+        id: `${row['Datum']}-${row['Check in']}-${index}`,
+        date,
+        dateLabel: row['Datum'],
+        checkIn: row['Check in'],
+        checkOut: row['Check uit'],
+        start,
+        end,
+        durationMin,
+        from: row['Vertrek'] || '',
+        to: row['Bestemming'] || '',
+        amount: readAmount(row),
+        transactie: row['Transactie'],
+        product: row['Product'],
+        class: row['Kl'],
+        note: row['Opmerking'] || '',
+        traveller: row[TRAVELLER_COLUMN] || ''
+      };
+    })
+    .filter((trip) => trip.date);
+}
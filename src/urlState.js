@@ -0,0 +1,132 @@
+import { toInputDate } from './format.js';
+import { MODES } from './modes.js';
+
+export const URL_DEFAULTS = {
+  search: '',
+  minRouteCount: 1,
+  showRoutes: true,
+  includeNonTrips: false
+};
+
+// Keys that change continuously (typing, panning) replace the history entry
+// instead of adding one per keystroke or drag.
+const TRANSIENT_KEYS = new Set(['q', 'map']);
+
+function parseInputDate(value) {
+  const match = value?.match(/^(\d{4})-(\d{2})-(\d{2})$/);
+  if (!match) return null;
+  return new Date(Number(match[1]), Number(match[2]) - 1, Number(match[3]));
+}
+
+function parseView(value) {
+  const [lat, lng, zoom] = (value || '').split(',').map(Number);
+  if (![lat, lng, zoom].every(Number.isFinite)) return null;
+  return { center: [lat, lng], zoom };
+}
+
+function parseFocus(value) {
+  if (!value) return null;
+  if (value.startsWith('stop:')) return { type: 'stop', name: value.slice(5) };
+  if (value.startsWith('place:')) return { type: 'place', id: value.slice(6) };
+  if (!value.startsWith('route:')) return null;
+  const body = value.slice(6);
+  const undirected = body.includes('<>');
+  const [from, to] = body.split(undirected ? '<>' : '>');
+  return from && to ? { type: 'route', from, to, undirected } : null;
+}
+
+function formatFocus(focus) {
+  if (focus.type === 'stop') return `stop:${focus.name}`;
+  if (focus.type === 'place') return `place:${focus.id}`;
+  return `route:${focus.from}${focus.undirected ? '<>' : '>'}${focus.to}`;
+}
+
+function parseFlag(value, fallback) {
+  if (value === '1') return true;
+  if (value === '0') return false;
+  return fallback;
+}
+
+// Lists repeat their key (products=a&products=b) because names like
+// "Bus, Tram en Metro reizen" contain commas. null when the key is absent,
+// [] when it is there but empty.
+function parseList(params, key) {
+  return params.has(key) ? params.getAll(key).filter(Boolean) : null;
+}
+
+function setList(params, key, items) {
+  if (!items.length) params.set(key, '');
+  items.forEach((item) => params.append(key, item));
+}
+
+// An empty list keeps everything deselected; a list that only names products
+// this dataset doesn't have falls back to all of them.
+export function restoreProducts(requested, allProducts) {
+  if (!requested) return allProducts;
+  const known = requested.filter((product) => allProducts.includes(product));
+  return known.length || !requested.length ? known : allProducts;
+}
+
+export function parseUrlState(search) {
+  const params = new URLSearchParams(search);
+  const minRouteCount = Number(params.get('min'));
+  const modes = parseList(params, 'modes');
+  return {
+    products: parseList(params, 'products'),
+    hiddenTravellers: parseList(params, 'without') || [],
+    hiddenModes: modes ? MODES.filter((mode) => !modes.includes(mode)) : [],
+    dateStart: parseInputDate(params.get('from')),
+    dateEnd: parseInputDate(params.get('to')),
+    search: params.get('q') ?? URL_DEFAULTS.search,
+    minRouteCount: minRouteCount >= 1 ? minRouteCount : URL_DEFAULTS.minRouteCount,
+    showRoutes: parseFlag(params.get('routes'), URL_DEFAULTS.showRoutes),
+    mapStyle: params.get('style'),
+    includeNonTrips: parseFlag(params.get('all'), URL_DEFAULTS.includeNonTrips),
+    view: parseView(params.get('map')),
+    focus: parseFocus(params.get('focus'))
+  };
+}
+
+// Values equal to their defaults are left out so plain links stay short.
+export function buildUrlParams(state, { allProducts, dataRange, defaultStyle }) {
+  const params = new URLSearchParams();
+  if (state.search) params.set('q', state.search);
+  if (state.focus) params.set('focus', formatFocus(state.focus));
+  // An empty selection is written as products= so it isn't read back as "all".
+  if (allProducts.length && state.selectedProducts.size !== allProducts.length) {
+    setList(params, 'products', Array.from(state.selectedProducts).sort());
+  }
+  if (state.hiddenTravellers.size) {
+    setList(params, 'without', Array.from(state.hiddenTravellers).sort());
+  }
+  // Like products, modes lists what is shown, so an empty list stays empty.
+  if (state.hiddenModes.size) {
+    setList(params, 'modes', MODES.filter((mode) => !state.hiddenModes.has(mode)));
+  }
+  if (state.dateStart && toInputDate(state.dateStart) !== toInputDate(dataRange.min)) {
+    params.set('from', toInputDate(state.dateStart));
+  }
+  if (state.dateEnd && toInputDate(state.dateEnd) !== toInputDate(dataRange.max)) {
+    params.set('to', toInputDate(state.dateEnd));
+  }
+  if (state.minRouteCount !== URL_DEFAULTS.minRouteCount) params.set('min', state.minRouteCount);
+  if (state.showRoutes !== URL_DEFAULTS.showRoutes) params.set('routes', state.showRoutes ? '1' : '0');
+  if (state.includeNonTrips !== URL_DEFAULTS.includeNonTrips) {
+    params.set('all', state.includeNonTrips ? '1' : '0');
+  }
+  if (state.mapStyle !== defaultStyle) params.set('style', state.mapStyle);
+  if (state.view) {
+    const [lat, lng] = state.view.center;
+    params.set('map', `${lat.toFixed(4)},${lng.toFixed(4)},${state.view.zoom}`);
+  }
+  return params;
+}
+
+export function isTransientChange(previous, next) {
+  const keys = new Set([...previous.keys(), ...next.keys()]);
+  return Array.from(keys).every(
+    (key) =>
+      TRANSIENT_KEYS.has(key) ||
+      previous.getAll(key).join('\n') === next.getAll(key).join('\n')
+  );
+}
@@ -0,0 +1,60 @@
+import assert from 'node:assert/strict';
+import { test } from 'node:test';
+import { PRODUCT_LABELS } from './products.js';
+import { buildUrlParams, isTransientChange, parseUrlState, restoreProducts } from './urlState.js';
+
+const allProducts = Object.keys(PRODUCT_LABELS).sort();
+const BTM = 'Bus, Tram en Metro reizen';
+
+function urlFor(selectedProducts, hiddenModes = [], hiddenTravellers = []) {
+  return buildUrlParams(
+    {
+      selectedProducts: new Set(selectedProducts),
+      hiddenTravellers: new Set(hiddenTravellers),
+      hiddenModes: new Set(hiddenModes),
+      minRouteCount: 1,
+      showRoutes: true,
+      includeNonTrips: false,
+      mapStyle: 'default'
+    },
+    { allProducts, dataRange: { min: null, max: null }, defaultStyle: 'default' }
+  ).toString();
+}
+
+test('keeps an empty product selection apart from no products parameter', () => {
+  const none = parseUrlState(`?${urlFor([])}`);
+  const all = parseUrlState(`?${urlFor(allProducts)}`);
+  assert.deepEqual(none.products, []);
+  assert.equal(all.products, null);
+  assert.deepEqual(restoreProducts(none.products, allProducts), []);
+  assert.deepEqual(restoreProducts(all.products, allProducts), allProducts);
+});
+
+test('restores product names that contain commas', () => {
+  const both = parseUrlState(`?${urlFor([BTM, 'Treinreizen'])}`);
+  assert.deepEqual(restoreProducts(both.products, allProducts), [BTM, 'Treinreizen']);
+  const only = parseUrlState(`?${urlFor([BTM])}`);
+  assert.deepEqual(restoreProducts(only.products, allProducts), [BTM]);
+  assert.deepEqual(restoreProducts(['Metro'], allProducts), allProducts);
+});
+
+test('restores traveller names that contain commas', () => {
+  const state = parseUrlState(`?${urlFor(allProducts, [], ['Jansen, Anna', 'Bram'])}`);
+  assert.deepEqual(state.hiddenTravellers, ['Bram', 'Jansen, Anna']);
+});
+
+test('treats a change further down a repeated key as a new history entry', () => {
+  const previous = new URLSearchParams(urlFor([BTM, 'Treinreizen']));
+  const next = new URLSearchParams(urlFor([BTM, 'Intercity Direct Toeslag']));
+  assert.equal(isTransientChange(previous, next), false);
+});
+
+test('round-trips the hidden modes', () => {
+  assert.equal(urlFor(allProducts), '');
+  assert.deepEqual(parseUrlState(`?${urlFor(allProducts, ['bus', 'ferry'])}`).hiddenModes, [
+    'bus',
+    'ferry'
+  ]);
+  const none = urlFor(allProducts, ['train', 'metro', 'tram', 'bus', 'ferry']);
+  assert.deepEqual(parseUrlState(`?${none}`).hiddenModes, ['train', 'metro', 'tram', 'bus', 'ferry']);
+});
@@ -0,0 +1,116 @@
+import { useEffect, useRef, useState } from 'react';
+import { createDeriver } from './derive.js';
+
+function createWorker() {
+  if (typeof Worker === 'undefined') return null;
+  try {
+    return new Worker(new URL('./analyticsWorker.js', import.meta.url), { type: 'module' });
+  } catch {
+    return null;
+  }
+}
+
+function emptyResult(source, corrections, request) {
+  const deriver = createDeriver();
+  return { dataset: deriver.load({ ...source, corrections, rows: [] }), view: deriver.view(request) };
+}
+
+// { name: entry | null } for every stop whose correction was added, changed or removed.
+function correctionChanges(previous, next) {
+  const changes = {};
+  new Set([...Object.keys(previous), ...Object.keys(next)]).forEach((name) => {
+    if (previous[name] !== next[name]) changes[name] = next[name] || null;
+  });
+  return changes;
+}
+
+// Runs the derivations in derive.js off the main thread, falling back to the
+// main thread when workers are unavailable. source (rows, coordinates,
+// aliases...) is only sent when it changes, corrections only as the stops that
+// moved, and every other request carries just the filters. Returns the latest
+// dataset and view, the view together with the key it was requested with, so
+// callers can tell when it has caught up.
+export function useAnalytics(source, corrections, request, key) {
+  const workerRef = useRef(null);
+  const inline = useRef(null);
+  const datasetId = useRef(0);
+  const viewId = useRef(0);
+  const sentCorrections = useRef(null);
+  const latest = useRef(null);
+  const [empty] = useState(() => emptyResult(source, corrections, request));
+  const [dataset, setDataset] = useState(empty.dataset);
+  const [result, setResult] = useState({ view: empty.view, key: null });
+
+  latest.current = { source, corrections, request, key };
+
+  function runInline() {
+    const { source: current, corrections: currentCorrections } = latest.current;
+    inline.current = createDeriver();
+    sentCorrections.current = currentCorrections;
+    setDataset(inline.current.load({ ...current, corrections: currentCorrections }));
+    setResult({ view: inline.current.view(latest.current.request), key: latest.current.key });
+  }
+
+  useEffect(() => {
+    const worker = createWorker();
+    if (!worker) return undefined;
+    workerRef.current = worker;
+    worker.onmessage = (event) => {
+      const { type, id } = event.data;
+      // Answers to superseded requests are dropped.
+      if (type === 'dataset' && id === datasetId.current) setDataset(event.data.dataset);
+      if (type === 'view' && id === viewId.current) {
+        setResult({ view: event.data.view, key: event.data.key });
+      }
+    };
+    worker.onerror = () => {
+      worker.terminate();
+      workerRef.current = null;
+      runInline();
+    };
+    return () => {
+      worker.terminate();
+      workerRef.current = null;
+    };
+  }, []);
+
+  useEffect(() => {
+    const full = { ...source, corrections: latest.current.corrections };
+    sentCorrections.current = full.corrections;
+    const worker = workerRef.current;
+    if (!worker) {
+      inline.current = createDeriver();
+      setDataset(inline.current.load(full));
+      return;
+    }
+    datasetId.current += 1;
+    worker.postMessage({ type: 'dataset', id: datasetId.current, source: full });
+  }, [source]);
+
+  useEffect(() => {
+    if (sentCorrections.current === corrections) return;
+    const changes = correctionChanges(sentCorrections.current, corrections);
+    sentCorrections.current = corrections;
+    const worker = workerRef.current;
+    if (!worker) {
+      setDataset(inline.current.correct(changes));
+      return;
+    }
+    datasetId.current += 1;
+    worker.postMessage({ type: 'corrections', id: datasetId.current, changes });
+  }, [corrections]);
+
+  // Runs after the dataset effects, and the worker answers in order, so a view
+  // requested together with a new dataset is derived from it.
+  useEffect(() => {
+    const worker = workerRef.current;
+    if (!worker) {
+      setResult({ view: inline.current.view(request), key });
+      return;
+    }
+    viewId.current += 1;
+    worker.postMessage({ type: 'view', id: viewId.current, request, key });
+  }, [source, corrections, request, key]);
+
+  return { dataset, view: result.view, key: result.key };
+}
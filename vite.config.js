@@ -1,9 +1,10 @@
 import { defineConfig } from 'vite';
 import react from '@vitejs/plugin-react';
+import { pwaPlugin } from './pwa/plugin.js';
 
 export default defineConfig({
   base: '/travelines/',
-  plugins: [react()],
+  plugins: [react(), pwaPlugin()],
   server: {
     host: true,
     port: 5173